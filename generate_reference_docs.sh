@@ -6,3 +6,6 @@ jsdoc2md -c jsdoc.conf --files ./src/utils.mjs > ./docs/docs/api/utils.md
 jsdoc2md -c jsdoc.conf --files ./src/entry.mjs > ./docs/docs/api/entry.md
 jsdoc2md -c jsdoc.conf --files ./src/matrix.mjs > ./docs/docs/api/matrix.md
 jsdoc2md -c jsdoc.conf --files ./src/table.mjs > ./docs/docs/api/table.md
+jsdoc2md -c jsdoc.conf --files ./src/csv.mjs > ./docs/docs/api/csv.md
+jsdoc2md -c jsdoc.conf --files ./src/console.mjs > ./docs/docs/api/console.md
+jsdoc2md -c jsdoc.conf --files ./src/format.mjs > ./docs/docs/api/format.md
@@ -0,0 +1,393 @@
+/** @module console */
+
+import { len, max_or, range, ValueError, text_width, graphemes, truncate } from "./utils.mjs";
+
+/**
+ * The border styles of [render_grid()]{@link module:console.render_grid}, by
+ * name. A style has the characters of the lines and their junctions, where
+ * `corners` are top left, top right, bottom left and bottom right, and `tees`
+ * are the ones pointing down, up, right and left. The "compact" style has no
+ * borders, and only separates the columns with spaces.
+ * @type {Object<string, ?{ horizontal: string, vertical: string, corners: string, tees: string, cross: string }>}
+ */
+export const BORDER_STYLES = {
+    ascii: { horizontal: "-", vertical: "|", corners: "++++", tees: "++++", cross: "+" },
+    single: { horizontal: "─", vertical: "│", corners: "┌┐└┘", tees: "┬┴├┤", cross: "┼" },
+    double: { horizontal: "═", vertical: "║", corners: "╔╗╚╝", tees: "╦╩╠╣", cross: "╬" },
+    rounded: { horizontal: "─", vertical: "│", corners: "╭╮╰╯", tees: "┬┴├┤", cross: "┼" },
+    compact: null,
+};
+
+const ALIGNMENTS = ["left", "right", "center"];
+
+/**
+ * The names that can be used in the `style` of a
+ * [GridCell]{@link module:console~GridCell}, and their ANSI (SGR) codes.
+ * @type {Object<string, number>}
+ */
+export const ANSI_STYLES = {
+    bold: 1, dim: 2, italic: 3, underline: 4, inverse: 7, strikethrough: 9,
+    black: 30, red: 31, green: 32, yellow: 33, blue: 34, magenta: 35, cyan: 36, white: 37, gray: 90,
+};
+
+/**
+ * Check that every name of `style` (names separated by spaces) is one of the
+ * [ANSI_STYLES]{@link module:console.ANSI_STYLES}.
+ * @param {string} [style]
+ * @param {string} where - what to start the error message with, such as
+ *   "render_grid()"
+ * @throws {ValueError} if a name is not an ANSI style
+ */
+export function check_style(style, where) {
+    const unknown = style_names(style).find(name => !Object.hasOwn(ANSI_STYLES, name));
+    if (unknown !== undefined) {
+        throw new ValueError(`${where}: unknown style ${JSON.stringify(unknown)}, `
+            + `the styles are ${Object.keys(ANSI_STYLES).join(", ")}`);
+    }
+}
+
+/**
+ * `text` without ANSI escape codes, such as for measuring it.
+ * @param {string} text
+ * @returns {string}
+ */
+export function strip_ansi(text) {
+    return text.replace(/\x1b\[[0-9;]*m/g, "");
+}
+
+/**
+ * Should colours be used? `color` is `true`, `false` or `"auto"`, where
+ * "auto" means only if standard output is a terminal, and the `NO_COLOR`
+ * environment variable is not set. In a browser, "auto" is always false.
+ * @param {Boolean|string} color
+ * @returns {Boolean}
+ */
+export function use_color(color) {
+    if (color !== "auto") return color === true;
+    const process = globalThis.process;
+    return process?.stdout?.isTTY === true && !process.env?.NO_COLOR;
+}
+
+/**
+ * A cell of [render_grid()]{@link module:console.render_grid}.
+ * @typedef {Object} GridCell
+ * @property {string} text
+ * @property {number} [span=1] - how many columns the cell spans
+ * @property {string} [align="left"] - "left", "right" or "center"
+ * @property {Boolean} [continues=false] - if true, the cell continues down
+ *   into the cell below it, so no line is drawn between them
+ * @property {string} [style] - names from
+ *   [ANSI_STYLES]{@link module:console.ANSI_STYLES}, separated by spaces,
+ *   such as "bold cyan". The text of the cell is wrapped in their escape
+ *   codes, which don't count towards its width
+ */
+
+/**
+ * The layout of rows of cells, for rendering them as text: how wide every
+ * column is, and how wide every cell is. Every column is as wide as its widest
+ * cell, and a cell that spans columns is exactly as wide as the columns it
+ * spans, including what is between them. If a spanning cell is wider than its
+ * columns, they are widened evenly. Widths are measured in terminal columns,
+ * see [text_width()]{@link module:utils.text_width}, and the widest line of a
+ * text with line breaks is its width.
+ * @param {GridCell[][]} rows - the spans of every row must add up to the same
+ * @param {Object} [options]
+ * @param {number} [options.gap=3] - the width of what is between two
+ *   columns, such as " | "
+ * @param {number} [options.edges=4] - the width of what is at the ends of a
+ *   line together, such as "| " and " |"
+ * @param {?number} [options.max_width=null] - the widest the lines can be.
+ *   The widest columns are narrowed until they fit (or until they can't be
+ *   narrowed without breaking up a character), and the texts that no longer
+ *   fit in them should be wrapped
+ * @param {number} [options.min_cell_width=0] - the narrowest a column can be
+ * @param {?number} [options.max_cell_width=null] - the widest a text can
+ *   be. A wider text is truncated with "…"
+ * @throws {ValueError} if `min_cell_width` or `max_cell_width` is not a
+ *   non-negative integer
+ * @returns {{ widths: number[], rows: Array<Array<GridCell & { start: number, width: number }>> }}
+ *   the width of every column, and the cells of every row, with the column
+ *   they start in, their width and their (truncated) text
+ * @example
+ *   // the widths of the columns of a markdown table
+ *   const { widths } = compute_layout(lines.map(texts => texts.map(text => ({ text }))), {
+ *       min_cell_width: 3,
+ *   });
+ */
+export function compute_layout(rows, {
+    gap = 3,
+    edges = 4,
+    max_width = null,
+    min_cell_width = 0,
+    max_cell_width = null,
+} = {}) {
+    for (const [name, value] of [["min_cell_width", min_cell_width], ["max_cell_width", max_cell_width ?? 1]]) {
+        if (!Number.isInteger(value) || value < 0 || (name === "max_cell_width" && value === 0)) {
+            throw new ValueError(`compute_layout(): ${name} must be a ${name === "min_cell_width" ? "non-negative" : "positive"} `
+                + `integer, not ${JSON.stringify(value)}`);
+        }
+    }
+
+    const placed = rows.map(place_cells);
+    if (max_cell_width !== null) {
+        const truncated = truncate(max_cell_width);
+        for (const cell of placed.flat()) cell.text = cell.text.split("\n").map(truncated).join("\n");
+    }
+
+    const widths = column_widths(placed, gap).map(width => Math.max(width, min_cell_width));
+
+    if (max_width !== null && len(widths) > 0) {
+        // narrow the widest column, one at a time. first without breaking up
+        // words, and then without breaking up characters
+        const line_width = () => widths.reduce((sum, w) => sum + w, 0) + gap * (len(widths) - 1) + edges;
+        for (const split of [text => text.split(/\s+/), graphemes]) {
+            const narrowest = narrowest_widths(placed, len(widths), split)
+                .map(width => Math.max(width, min_cell_width));
+            while (line_width() > max_width) {
+                const narrowable = [...range(len(widths))].filter(x => widths[x] > narrowest[x]);
+                if (len(narrowable) === 0) break;
+                const widest = narrowable.reduce((a, b) => widths[b] > widths[a] ? b : a);
+                widths[widest]--;
+            }
+        }
+    }
+
+    for (const cell of placed.flat()) {
+        const columns = widths.slice(cell.start, cell.start + cell.span);
+        cell.width = columns.reduce((sum, w) => sum + w, 0) + gap * (len(columns) - 1);
+    }
+    return { widths, rows: placed };
+}
+
+/**
+ * Render rows of cells as lines of text, laid out by
+ * [compute_layout()]{@link module:console.compute_layout}, so that a cell
+ * that spans columns lines up exactly with the borders of the columns it
+ * spans. A text with line breaks takes up more than one line, and so does a
+ * text that is wrapped because the widest columns were narrowed to fit in
+ * `max_width`.
+ * @param {GridCell[][]} rows - the spans of every row must add up to the same
+ * @param {Object} [options]
+ * @param {number} [options.head=0] - the number of rows that are headers. A
+ *   line is drawn under every header row
+ * @param {string} [options.border="ascii"] - the name of one of the
+ *   [BORDER_STYLES]{@link module:console.BORDER_STYLES}
+ * @param {?number} [options.max_width=null] - the widest the lines can be.
+ *   They can still be wider, if every column is down to one character
+ * @param {number} [options.min_cell_width=0] - see `compute_layout()`
+ * @param {?number} [options.max_cell_width=null] - see `compute_layout()`
+ * @throws {ValueError} if `border` is not a border style, an `align` is not
+ *   an alignment, or a `style` has an unknown name
+ * @returns {string[]} the lines
+ * @example
+ *   render_grid([
+ *       [ { text: "Singular", span: 2, align: "center" } ],
+ *       [ { text: "Nom" }, { text: "Gen" } ],
+ *       [ { text: "guolli" }, { text: "guole" } ],
+ *   ], { head: 2, border: "single" });
+ *   // ┌────────────────┐
+ *   // │    Singular    │
+ *   // ├────────┬───────┤
+ *   // │ Nom    │ Gen   │
+ *   // ├────────┼───────┤
+ *   // │ guolli │ guole │
+ *   // └────────┴───────┘
+ */
+export function render_grid(rows, {
+    head = 0,
+    border = "ascii",
+    max_width = null,
+    min_cell_width = 0,
+    max_cell_width = null,
+} = {}) {
+    if (!Object.hasOwn(BORDER_STYLES, border)) {
+        throw new ValueError(`render_grid(): border must be one of ${Object.keys(BORDER_STYLES).join(", ")}, `
+            + `not ${JSON.stringify(border)}`);
+    }
+    const style = BORDER_STYLES[border];
+    for (const { align = "left", style: names } of rows.flat()) {
+        if (!ALIGNMENTS.includes(align)) {
+            throw new ValueError(`render_grid(): align must be one of ${ALIGNMENTS.join(", ")}, not ${JSON.stringify(align)}`);
+        }
+        check_style(names, "render_grid()");
+    }
+
+    // the space a border takes up between two columns, and at the ends
+    const gap = style === null ? 2 : 3;
+    const { widths, rows: placed } = compute_layout(rows, {
+        gap,
+        edges: style === null ? 0 : 4,
+        max_width,
+        min_cell_width,
+        max_cell_width,
+    });
+    if (len(widths) === 0) return [];
+
+    // where every column starts, and where the last one ends
+    const starts = [0];
+    for (const width of widths) starts.push(starts.at(-1) + width + gap);
+
+    // the lines of a row, which is as high as its cell with the most lines
+    const format_row = cells => {
+        const blocks = cells.map(cell => wrap_text(cell.text, cell.width));
+        return [...range(max_or(blocks.map(len), 1))].map(i => {
+            const texts = cells.map((cell, c) => align_text(blocks[c][i] ?? "", cell.width, cell.align, cell.style));
+            if (style === null) return texts.join(" ".repeat(gap)).trimEnd();
+            return `${style.vertical} ${texts.join(` ${style.vertical} `)} ${style.vertical}`;
+        });
+    };
+
+    if (style === null) return placed.flatMap(format_row);
+
+    const rule = (above, below) => draw_rule(style, starts, above, below);
+    const lines = [rule(null, placed[0] ?? null)];
+    for (const [y, cells] of placed.entries()) {
+        lines.push(...format_row(cells));
+        if (y < head && y < len(placed) - 1) lines.push(rule(cells, placed[y + 1]));
+    }
+    lines.push(rule(placed.at(-1) ?? null, null));
+    return lines;
+}
+
+// the cells of a row, with the column each of them starts in
+function place_cells(cells) {
+    let start = 0;
+    return cells.map(cell => {
+        const placed = { span: 1, ...cell, start };
+        start += placed.span;
+        return placed;
+    });
+}
+
+// the width of every column. the columns under a cell that spans more than
+// one column are widened, if the cell doesn't fit in them
+function column_widths(placed, gap) {
+    const n = max_or(placed.map(cells => cells.reduce((sum, { span }) => sum + span, 0)), 0);
+    const widths = [...range(n)].map(_ => 0);
+
+    const cells = placed.flat().sort((a, b) => a.span - b.span);
+    for (const { text, start, span } of cells) {
+        const columns = [...range(start, start + span)];
+        const available = columns.reduce((sum, x) => sum + widths[x], 0) + (span - 1) * gap;
+        const missing = block_width(text) - available;
+        if (missing <= 0) continue;
+        for (const [i, x] of columns.entries()) {
+            // the ones that can't be split evenly go to the last columns
+            widths[x] += Math.floor(missing / span) + (i >= span - missing % span ? 1 : 0);
+        }
+    }
+    return widths;
+}
+
+// the narrowest that every column can be, without breaking up the parts that
+// `split` splits the texts into
+function narrowest_widths(placed, n, split) {
+    const narrowest = [...range(n)].map(_ => 1);
+    for (const { text, start, span } of placed.flat()) {
+        if (span !== 1) continue;
+        narrowest[start] = max_or([narrowest[start], ...split(text).map(text_width)], 1);
+    }
+    return narrowest;
+}
+
+// the width of the widest line of `text`
+const block_width = text => max_or(text.split("\n").map(text_width), 0);
+
+const style_names = style => style === undefined ? [] : style.split(" ").filter(name => name !== "");
+
+// `text` padded to `width`, where only the text itself is styled
+function align_text(text, width, align = "left", style) {
+    const missing = Math.max(0, width - text_width(text));
+    const left = align === "right" ? missing : align === "center" ? Math.floor(missing / 2) : 0;
+    const codes = style_names(style).map(name => ANSI_STYLES[name]);
+    const styled = len(codes) > 0 && text !== "" ? `\x1b[${codes.join(";")}m${text}\x1b[0m` : text;
+    return " ".repeat(left) + styled + " ".repeat(missing - left);
+}
+
+// the lines of `text`, where lines that are wider than `width` are wrapped
+// between words, and words that are wider than `width` are broken up
+function wrap_text(text, width) {
+    return text.split("\n").flatMap(line => {
+        if (text_width(line) <= width) return [line];
+
+        const out = [];
+        let current = "";
+        for (const word of line.split(" ").filter(word => word !== "")) {
+            for (const piece of text_width(word) > width ? break_word(word, width) : [word]) {
+                const candidate = current === "" ? piece : `${current} ${piece}`;
+                if (text_width(candidate) <= width) {
+                    current = candidate;
+                } else {
+                    if (current !== "") out.push(current);
+                    current = piece;
+                }
+            }
+        }
+        out.push(current);
+        return out;
+    });
+}
+
+// `word` broken up into pieces of at most `width` columns (but at least one
+// grapheme each), without breaking up graphemes
+function break_word(word, width) {
+    const pieces = [""];
+    for (const grapheme of graphemes(word)) {
+        if (pieces.at(-1) !== "" && text_width(pieces.at(-1) + grapheme) > width) pieces.push("");
+        pieces[len(pieces) - 1] += grapheme;
+    }
+    return pieces;
+}
+
+// a horizontal line between the rows of cells `above` and `below` (either of
+// which is null at the top and bottom), with the right junctions where the
+// borders between the columns of either row meet it
+function draw_rule(style, starts, above, below) {
+    const end = starts.at(-1);
+    const boundaries = cells => new Set(cells === null ? [] : [...cells.map(({ start }) => starts[start]), end]);
+    const up = boundaries(above);
+    const down = boundaries(below);
+
+    // the line is not drawn under a cell that continues down
+    const blank = new Set();
+    for (const cell of above ?? []) {
+        if (!cell.continues) continue;
+        for (const p of range(starts[cell.start] + 1, starts[cell.start + cell.span])) blank.add(p);
+    }
+    const drawn = p => p > 0 && p < end && !blank.has(p);
+
+    let line = "";
+    for (const p of range(end + 1)) {
+        if (up.has(p) || down.has(p)) {
+            line += junction(style, up.has(p), down.has(p), drawn(p - 1), drawn(p + 1));
+        } else {
+            line += drawn(p) ? style.horizontal : " ";
+        }
+    }
+    return line;
+}
+
+// the character where lines going up, down, left and right meet
+function junction(style, up, down, left, right) {
+    const [top_left, top_right, bottom_left, bottom_right] = style.corners;
+    const [top_tee, bottom_tee, left_tee, right_tee] = style.tees;
+    if (up && down) {
+        if (left && right) return style.cross;
+        if (right) return left_tee;
+        if (left) return right_tee;
+        return style.vertical;
+    }
+    if (down) {
+        if (left && right) return top_tee;
+        if (right) return top_left;
+        if (left) return top_right;
+        return style.vertical;
+    }
+    if (up) {
+        if (left && right) return bottom_tee;
+        if (right) return bottom_left;
+        if (left) return bottom_right;
+        return style.vertical;
+    }
+    return left || right ? style.horizontal : " ";
+}
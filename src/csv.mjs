@@ -0,0 +1,98 @@
+/** @module csv */
+
+import { len, str, ValueError } from "./utils.mjs";
+
+/**
+ * Parse `text` as csv (RFC 4180). Fields can be quoted with `"`, and a quoted
+ * field can contain delimiters, line breaks, and quotes written as `""`.
+ * Lines can end with either `\r\n` or `\n`. A line break at the very end of
+ * `text` does not start a new record.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","] - a single character
+ * @throws {ValueError} if a quoted field is never closed
+ * @returns {string[][]} the records, each an array of fields
+ * @example
+ *   parse_csv('a,"b, c"\n1,"say ""hi"""') // [ ["a", "b, c"], ["1", 'say "hi"'] ]
+ */
+export function parse_csv(text, { delimiter = "," } = {}) {
+    if (typeof text !== "string") throw new TypeError("parse_csv(text): text must be a string");
+    check_delimiter(delimiter, "parse_csv");
+
+    const records = [];
+    let record = [];
+    let field = "";
+    let i = 0;
+    let record_start = 0;
+
+    const end_field = () => { record.push(field); field = ""; };
+    const end_record = () => { end_field(); records.push(record); record = []; };
+
+    while (i < len(text)) {
+        const ch = text[i];
+        if (ch === '"' && field === "") {
+            // a quoted field, read until the closing quote
+            const start = i;
+            i++;
+            while (true) {
+                if (i >= len(text)) {
+                    throw new ValueError(`parse_csv(): quoted field starting at position ${start} is never closed`);
+                }
+                if (text[i] === '"') {
+                    if (text[i + 1] === '"') { field += '"'; i += 2; continue; }
+                    i++;
+                    break;
+                }
+                field += text[i++];
+            }
+        } else if (ch === delimiter) {
+            end_field();
+            i++;
+        } else if (ch === "\r" && text[i + 1] === "\n") {
+            end_record();
+            i += 2;
+            record_start = i;
+        } else if (ch === "\n") {
+            end_record();
+            i++;
+            record_start = i;
+        } else {
+            field += ch;
+            i++;
+        }
+    }
+
+    // the last record, unless the text ended with a line break
+    if (record_start < len(text)) end_record();
+
+    return records;
+}
+
+/**
+ * Write `records` as csv (RFC 4180). Fields that contain the delimiter, a
+ * quote, or a line break are quoted. Values that are not strings are
+ * converted with [str()]{@link module:utils.str}.
+ * @param {Any[][]} records
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","] - a single character
+ * @param {string} [options.line_ending="\r\n"]
+ * @returns {string}
+ */
+export function format_csv(records, { delimiter = ",", line_ending = "\r\n" } = {}) {
+    if (!Array.isArray(records)) throw new TypeError("format_csv(records): records must be an array");
+    check_delimiter(delimiter, "format_csv");
+
+    const needs_quotes = field =>
+        field.includes(delimiter) || field.includes('"') || field.includes("\n") || field.includes("\r");
+    const quote = field => needs_quotes(field) ? `"${field.replaceAll('"', '""')}"` : field;
+
+    return records
+        .map(record => record.map(value => quote(typeof value === "string" ? value : str(value))).join(delimiter))
+        .join(line_ending);
+}
+
+function check_delimiter(delimiter, funcname) {
+    if (typeof delimiter !== "string" || len(delimiter) !== 1 || delimiter === '"' || delimiter === "\n" || delimiter === "\r") {
+        throw new ValueError(`${funcname}(): delimiter must be a single character, that is not a quote or a line break`);
+    }
+}
@@ -1,6 +1,35 @@
 /** @module entry */
 
-import { Empty } from "./utils.mjs";
+import { Empty, is_pojo, parse_json, ValueError } from "./utils.mjs";
+
+/**
+ * How an `Entry` is represented in JSON. An empty entry is `{ "empty": true }`,
+ * any other entry is `{ "value": <the value> }`. The value must itself be
+ * serializable to JSON. (A value of `undefined` is left out by JSON.stringify,
+ * and is read back as `undefined`).
+ * @typedef {Object} EntryJSON
+ * @property {true} [empty] - only present (and true) if the entry is empty
+ * @property {Any} [value] - the value, if the entry has one value
+ * @property {Any[]} [values] - all the values, if the entry has variants
+ * @property {EntryAttributes} [attributes] - only present if the entry has
+ *   any attributes
+ */
+
+/**
+ * Metadata about an entry, that is kept alongside its value. The html
+ * renderers of `Table` emit `class`, `title` and `data` as html attributes
+ * of the cell. Any other property is kept, but not rendered.
+ * @typedef {Object} EntryAttributes
+ * @property {string|string[]} [class] - css class(es) of the cell
+ * @property {string} [title] - a tooltip, such as the analysis of a form
+ * @property {Object<string, Any>} [data] - every property becomes a `data-*`
+ *   attribute, such as `{ nonstandard: true }` becoming
+ *   `data-nonstandard="true"`
+ * @property {string[]} [footnotes] - the ids of the footnotes of the entry,
+ *   see [Table.attach_footnote()]{@link module:table.Table#attach_footnote}
+ * @property {string} [style] - how `Table.as_console_str()` styles the cell,
+ *   when it uses colors, such as "yellow" or a style given in its `styles`
+ */
 
 /**
  * A generic wrapper of a single contained `value`. Useful because it
@@ -15,12 +44,29 @@ export class Entry {
      */
     #value;
 
+    /**
+     * The values after the first one, added with push().
+     * @private
+     */
+    #variants = [];
+
+    /**
+     * The attributes of the entry.
+     * @private
+     */
+    #attributes;
+
     /**
      * Construct a new Entry.
      * @param [value] {Any} - If given, the `Entry` will contain this `value`. If
      * not given, the `Entry` will be empty.
+     * @param [attributes] {EntryAttributes} - metadata about the entry. An
+     * entry with attributes, but no value, is still empty.
      */
-    constructor(value) { this.#value = arguments.length === 0 ? Empty : value; }
+    constructor(value, attributes = {}) {
+        this.#value = arguments.length === 0 ? Empty : value;
+        this.attributes = attributes;
+    }
 
     /**
      * Is the entry empty?
@@ -39,12 +85,75 @@ export class Entry {
      * [clear()]{@link module:matrix.Entry#clear} to set it to Empty
      */
     get value() { return this.#value; }
-    set value(value) { this.#value = value; }
+    set value(value) { this.#value = value; this.#variants = []; }
+
+    /**
+     * All the values of the Entry: none if it is empty, otherwise the value,
+     * followed by the variants that have been added with
+     * [push()]{@link module:entry.Entry#push}.
+     * @type {Any[]}
+     */
+    get values() { return this.is_empty() ? [] : [this.#value, ...this.#variants]; }
+
+    /**
+     * Add a value to the Entry. If the Entry is empty, `value` becomes its
+     * value, otherwise `value` is added as a variant of it, such as a second
+     * accepted form of a word.
+     * @param value {Any}
+     * @returns {this}
+     * @example
+     *   const e = new Entry("gáffe").push("gáfe");
+     *   console.assert(e.value === "gáffe");
+     *   console.assert(e.values.length === 2);
+     */
+    push(value) {
+        if (value === Empty) return this;
+        if (this.is_empty()) this.#value = value;
+        else this.#variants.push(value);
+        return this;
+    }
+
+    /**
+     * Does the Entry have more than one value?
+     * @returns {Boolean}
+     */
+    has_variants() { return this.#variants.length > 0; }
 
     /**
      * Clear out the stored value. The Entry is now empty.
      */
-    clear() { this.#value = Empty; }
+    clear() { this.#value = Empty; this.#variants = []; }
+
+    /**
+     * get or set the attributes of the Entry. The attributes are a plain
+     * object, which can be changed in place.
+     * @type {EntryAttributes}
+     */
+    get attributes() { return this.#attributes; }
+    set attributes(attributes) {
+        if (!is_pojo(attributes)) {
+            throw new TypeError("Entry.attributes must be a plain object");
+        }
+        this.#attributes = attributes;
+    }
+
+    /**
+     * Does the entry have any attributes?
+     * @returns {Boolean}
+     */
+    has_attributes() { return Object.keys(this.#attributes).length > 0; }
+
+    /**
+     * A copy of this Entry, with the same value, and a copy of its attributes.
+     * @returns {Entry}
+     */
+    clone() {
+        const attributes = Object.fromEntries(Object.entries(this.#attributes).map(([name, value]) =>
+            [name, Array.isArray(value) ? [...value] : is_pojo(value) ? { ...value } : value]));
+        const entry = new Entry(this.#value, attributes);
+        entry.#variants = [...this.#variants];
+        return entry;
+    }
 
     /**
      * If the Entry is empty, make it store `value`, otherwise, do nothing.
@@ -56,7 +165,8 @@ export class Entry {
     /**
      * If the Entry contains a value, modify it by calling `fn` with the
      * contained value as it's argument, and save the return value as the
-     * inner value of the Entry. If the Entry is empty, do nothing.
+     * inner value of the Entry. Variants are modified the same way.
+     * If the Entry is empty, do nothing.
      * @param fn {function(Any): Any}
      * @returns {this}
      * @example
@@ -64,9 +174,55 @@ export class Entry {
      *   e.and_modify(value => value + 1);
      *   console.assert(e.value === 2);
      */
-    and_modify(fn) { if (this.is_not_empty()) this.#value = fn(this.#value); return this; }
+    and_modify(fn) {
+        if (this.is_not_empty()) {
+            this.#value = fn(this.#value);
+            this.#variants = this.#variants.map(fn);
+        }
+        return this;
+    }
+
+    [Symbol.toPrimitive]() {
+        if (this.is_empty()) return "Entry<(empty)>";
+        return this.has_variants() ? this.toString() : this.#value;
+    }
+    toString() { return this.is_empty() ? "Entry<(empty)>" : this.values.map(String).join(", "); }
+
+    /**
+     * The JSON representation of the entry. An explicit marker is used for
+     * empty entries, so that they can be told apart from entries that
+     * contain `null`. An entry with variants has all its `values`.
+     * @returns {EntryJSON}
+     */
+    toJSON() {
+        const json = this.is_empty() ? { empty: true }
+            : this.has_variants() ? { values: this.values }
+            : { value: this.#value };
+        if (this.has_attributes()) json.attributes = this.#attributes;
+        return json;
+    }
 
-    [Symbol.toPrimitive]() { return this.is_empty() ? "Entry<(empty)>" : this.#value; }
-    toString() { return this.is_empty() ? "Entry<(empty)>" : String(this.#value); }
-    toJSON() { return this.is_empty() ? "null" : JSON.stringify(this.#value); }
+    /**
+     * Construct an Entry from its JSON representation.
+     * @param {EntryJSON|string} json - the representation, or a string of it
+     * @throws {ValueError} if `json` is not an EntryJSON
+     * @returns {Entry}
+     */
+    static fromJSON(json) {
+        json = parse_json(json, "Entry.fromJSON");
+        if (!is_pojo(json)) {
+            throw new ValueError("Entry.fromJSON(json): json must be an object");
+        }
+        let entry;
+        if (json.empty === true) {
+            entry = new Entry();
+        } else if (Array.isArray(json.values)) {
+            entry = new Entry();
+            for (const value of json.values) entry.push(value);
+        } else {
+            entry = new Entry(json.value);
+        }
+        if (json.attributes !== undefined) entry.attributes = json.attributes;
+        return entry;
+    }
 }
@@ -0,0 +1,428 @@
+/** @module format */
+
+import {
+    len,
+    max_or,
+    dedent,
+    range,
+    enumerate,
+    strip_whitespace,
+    text_width,
+    ValueError,
+    Empty,
+} from "./utils.mjs";
+
+/**
+ * Thrown by [Table.from_format()]{@link Table.from_format} when the format
+ * can't be read. The message says what is wrong, and where, with the line
+ * and a caret under the column.
+ * @class
+ * @extends ValueError
+ */
+export class TableFormatError extends ValueError {
+    /**
+     * @param {string} msg
+     * @param {Object} where
+     * @param {number} where.line - the line of the format, counting from 1
+     * @param {number} where.column - the column of that line, counting from 1
+     * @param {string} where.excerpt - the line, and a line with a caret
+     *   under the column
+     */
+    constructor(msg, { line, column, excerpt }) {
+        super(`${msg}, at line ${line}, column ${column}:\n${excerpt}`);
+        this.name = "TableFormatError";
+        this.line = line;
+        this.column = column;
+        this.excerpt = excerpt;
+    }
+}
+
+/**
+ * How many columns a pipe can be off by, and still be snapped into place
+ * with `lenient: true`.
+ * @type {number}
+ */
+export const SNAP_DISTANCE = 2;
+
+/**
+ * Parse the format of [Table.from_format()]{@link Table.from_format}.
+ *
+ * The format consists of some lines of column headers, followed by lines of
+ * row headers. A line of row headers ends with a pipe (the data area to the
+ * right of it is empty), and can have multiple pipe-separated cells, one for
+ * each column of row headers. A blank cell in any but the last column of row
+ * headers means that the row header above it continues down (it gets a
+ * bigger span). Column headers spans as many columns as there are pipes
+ * (in any line of column headers) between the pipes that surround it.
+ *
+ *              |     | Sg | Pl
+ *     Nominal  | Nom |
+ *              | Gen |
+ *     Verbal   | Inf |
+ *
+ * If the column headers are separated from the rows by a line of only "-"
+ * and "+", the rows also have data: every row has a pipe-separated cell for
+ * every column, after the row headers. A blank cell is empty, and a cell in
+ * double quotes is read as a JSON string, so `""` is the empty string, and
+ * `"a\nb"` has a line break. Without column headers, the row headers end at
+ * the last "+" of the separator, or there are none if it has no "+".
+ *
+ * A backslash escapes the character after it, if that is a `|`, `{`, `}`
+ * or another backslash: `\|` is a pipe that is not the border of a cell,
+ * `\{` and `\}` are braces that are not around the key of a header, and
+ * `\\` is a backslash.
+ *
+ *              |     | Sg    | Pl
+ *     ---------+-----+-------+-------
+ *     Nominal  | Nom | guoll | guolit
+ *              | Gen |       | guliid
+ *
+ * The pipes have to line up: every pipe of a line of column headers has to
+ * be right above a pipe of the line below it, the pipes of the lines of row
+ * headers have to be under each other, and the pipe where the row headers
+ * end has to be in every line. With `lenient`, a pipe that is at most
+ * [SNAP_DISTANCE]{@link module:format.SNAP_DISTANCE} columns off is read as
+ * if it was where it should be.
+ * @param {string} format
+ * @param {Object} [options]
+ * @param {Boolean} [options.lenient=false]
+ * @throws {TableFormatError} if a pipe doesn't line up, a column header
+ *   straddles two headers of the line above it, or a line of row headers
+ *   doesn't have as many row headers as the others
+ * @returns {{ row_headers: RowHeader[][], column_headers: ColumnHeader[][], data: ?Array<Array<string|Symbol>> }}
+ *   the headers, and the data (with `Empty` for blank cells), or null if the
+ *   format has no data
+ */
+export function parse_format(format, { lenient = false } = {}) {
+    const { lines, error } = read_lines(format);
+    const context = { lenient, error };
+
+    const separator = lines.findIndex(is_separator_line);
+    if (separator !== -1) {
+        return parse_format_with_data(
+            lines.slice(0, separator),
+            lines[separator],
+            lines.slice(separator + 1),
+            context,
+            shifted(context, separator + 1),
+        );
+    }
+
+    let first_row_line = lines.findIndex(ends_with_pipe);
+    if (first_row_line === -1) first_row_line = len(lines);
+    const column_header_lines = lines.slice(0, first_row_line);
+    const row_header_lines = lines.slice(first_row_line);
+    const rows = shifted(context, first_row_line);
+
+    for (const [y, line] of enumerate(row_header_lines)) {
+        if (!ends_with_pipe(line)) {
+            throw rows.error(`expected a line of row headers, ending with a "|", since it comes after `
+                + `the first line of row headers`, y, text_width(line.trimEnd()));
+        }
+    }
+
+    const row_header_pipes = row_header_lines.map(line => find_pipes(line).map(pipe => pipe.column));
+    check_row_header_pipes(row_header_pipes, rows);
+    const row_headers = parse_row_headers(
+        row_header_lines.map((line, y) => split_pipes(line).slice(0, len(row_header_pipes[y]))),
+    );
+
+    // where the data area starts. everything up to, and including this
+    // position, is either row headers, or the (blank) corner above them
+    const data_start = len(row_header_lines) > 0
+        ? row_header_pipes[0].at(-1)
+        : find_blank_corner_end(column_header_lines);
+
+    const column_headers = parse_column_headers(column_header_lines, data_start, context);
+
+    return { row_headers, column_headers, data: null };
+}
+
+/**
+ * Write a header the way [parse_format()]{@link module:format.parse_format}
+ * reads it, as `Text{key}` if it has a key, and with its pipes, braces and
+ * backslashes escaped.
+ * @param {ColumnHeader|RowHeader} header
+ * @returns {string}
+ */
+export function format_header({ text, key }) {
+    const escape = text => escape_pipes(text).replace(/[{}]/g, "\\$&");
+    return key === undefined ? escape(text) : `${escape(text)}{${escape(key)}}`;
+}
+
+/**
+ * Escape the pipes of `text` as `\|`, so that they are not read as the
+ * border of a cell, and its backslashes as `\\`, so that they are not read
+ * as escaping what comes after them.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escape_pipes = text => text.replace(/[\\|]/g, "\\$&");
+
+/**
+ * Write a value the way [parse_format()]{@link module:format.parse_format}
+ * reads it: with its pipes and backslashes escaped, or as a JSON string (with
+ * its pipes escaped) if it would otherwise read back as something else,
+ * because it is empty, starts or ends with whitespace, has a line break, or
+ * starts with a `"`.
+ * @param {string} text
+ * @returns {string}
+ */
+export function format_value(text) {
+    const quoted = text === ""
+        || text !== strip_whitespace(text)
+        || /[\n\r]/.test(text)
+        || text.startsWith('"');
+    // JSON escapes the backslashes itself
+    return quoted ? JSON.stringify(text).replaceAll("|", "\\|") : escape_pipes(text);
+}
+
+function parse_format_with_data(column_header_lines, separator_line, row_lines, context, rows) {
+    // without column headers, the last "+" of the separator is where the row
+    // headers end, and the first row tells how many columns there are
+    const has_column_headers = len(column_header_lines) > 0;
+    const data_start = has_column_headers
+        ? find_blank_corner_end(column_header_lines)
+        : separator_line.lastIndexOf("+");
+    const column_headers = parse_column_headers(column_header_lines, data_start, context);
+    let width = has_column_headers
+        ? max_or(column_headers.map(ch_row => ch_row.reduce((sum, { span }) => sum + span, 0)), 1)
+        : null;
+
+    const row_header_pipes = [];
+    const row_header_cells = [];
+    const data = [];
+    for (const [y, line] of enumerate(row_lines)) {
+        const pipes = find_pipes(line);
+        const cells = split_pipes(line);
+
+        let num_row_headers;
+        if (data_start === -1) {
+            num_row_headers = 0;
+        } else {
+            const end = closest(pipes.map(pipe => pipe.column), data_start);
+            if (end === undefined) {
+                throw rows.error(`expected a "|" where the row headers end`, y, data_start);
+            }
+            check_aligned(end, data_start, "where the row headers end", y, rows);
+            num_row_headers = pipes.findIndex(pipe => pipe.column === end) + 1;
+        }
+
+        width ??= len(cells) - num_row_headers;
+        if (len(cells) - num_row_headers !== width) {
+            throw rows.error(`this line has ${len(cells) - num_row_headers} data cells, `
+                + `but the table has ${width} columns`, y, pipes[num_row_headers - 1]?.column ?? 0);
+        }
+        row_header_pipes.push(pipes.slice(0, num_row_headers).map(pipe => pipe.column));
+        row_header_cells.push(cells.slice(0, num_row_headers));
+        data.push(cells.slice(num_row_headers).map(parse_value));
+    }
+
+    check_row_header_pipes(row_header_pipes, rows);
+    const row_headers = parse_row_headers(row_header_cells);
+    return { row_headers, column_headers, data };
+}
+
+// the non-blank lines of `format`, dedented, and a function that makes a
+// TableFormatError about column `x` of line `y` of those lines
+function read_lines(format) {
+    const source = format.split("\n");
+    const dedented = dedent(format).split("\n");
+    const numbers = [...range(len(dedented))].filter(y => out_empty_lines(dedented[y]));
+
+    const error = (msg, y, x) => {
+        const line = dedented[numbers[y]];
+        const indent = len(source[numbers[y]]) - len(line);
+        return new TableFormatError(`Table.from_format(): ${msg}`, {
+            line: numbers[y] + 1,
+            column: indent + x + 1,
+            excerpt: `    ${line}\n    ${" ".repeat(x)}^`,
+        });
+    };
+
+    return { lines: numbers.map(y => dedented[y]), error };
+}
+
+// the context of lines that start at line `offset`
+const shifted = (context, offset) => ({
+    ...context,
+    error: (msg, y, x) => context.error(msg, offset + y, x),
+});
+
+const out_empty_lines = line => len(strip_whitespace(line)) > 0;
+const ends_with_pipe = line => strip_whitespace(line).endsWith("|");
+const is_blank_corner = text => /^[\s|-]*$/.test(text);
+const is_separator_line = line => /^[\s+-]*-[\s+-]*$/.test(line);
+
+// the pipes in `line`, except escaped ones ("\|", but not "\\|"): where they
+// are in the string, and which column they are in when the line is displayed.
+// pipes line up by their column, so that wide characters and combining
+// diacritics are lined up the way they look
+const find_pipes = line => [...line.matchAll(/(?<!\\)(?:\\\\)*\|/g)]
+    .map(({ 0: match, index }) => index + len(match) - 1)
+    .map(at => ({ at, column: text_width(line.slice(0, at)) }));
+
+// split `line` on unescaped pipes. the cells are left escaped, since a header
+// needs its escaped braces to tell them from the braces of its key
+const split_pipes = line => {
+    const edges = [-1, ...find_pipes(line).map(pipe => pipe.at), len(line)];
+    return [...range(1, len(edges))].map(i => line.slice(edges[i - 1] + 1, edges[i]));
+};
+
+// "\|", "\{", "\}" and "\\" are "|", "{", "}" and "\"
+const unescape = text => text.replace(/\\([\\|{}])/g, "$1");
+
+// the item of `columns` that is closest to `x`, or undefined if there are none
+const closest = (columns, x) => columns.reduce(
+    (best, column) => best === undefined || Math.abs(column - x) < Math.abs(best - x) ? column : best,
+    undefined,
+);
+
+// throws if the pipe at `x` of line `y` isn't at `expected`. with `lenient`,
+// a near miss is let through
+function check_aligned(x, expected, what, y, context) {
+    if (x === expected) return;
+    const distance = Math.abs(x - expected);
+    if (context.lenient && distance <= SNAP_DISTANCE) return;
+    throw context.error(`misaligned "|", ${distance} ${distance === 1 ? "column" : "columns"} `
+        + `to the ${x < expected ? "left" : "right"} of the "|" ${what}`, y, x);
+}
+
+// every line of row headers must have as many pipes as the first one, and
+// they must be under the pipes of the first one
+function check_row_header_pipes(pipes_of_lines, context) {
+    const [expected = []] = pipes_of_lines;
+    for (const [y, pipes] of enumerate(pipes_of_lines)) {
+        if (len(pipes) !== len(expected)) {
+            throw context.error(`this line has ${len(pipes)} row headers, but the first line of row headers `
+                + `has ${len(expected)}. All lines of row headers must have the same number of "|"`,
+                y, len(pipes) > len(expected) ? pipes[len(expected)] : pipes.at(-1) ?? 0);
+        }
+        for (const [i, x] of enumerate(pipes)) {
+            check_aligned(x, expected[i], "of the first line of row headers", y, context);
+        }
+    }
+}
+
+// a blank data cell is empty, and a cell in double quotes is a JSON string,
+// like format_value() writes a value that can't be written as it is. only
+// the pipes of a JSON string are escaped, since JSON escapes the rest
+function parse_value(cell) {
+    const text = strip_whitespace(cell);
+    if (text === "") return Empty;
+    if (len(text) >= 2 && text.startsWith('"') && text.endsWith('"')) {
+        try {
+            return JSON.parse(text.replaceAll("\\|", "|"));
+        } catch {
+            // not a JSON string, so it is read as it is
+        }
+    }
+    return unescape(text);
+}
+
+// "Gen{gen}" is a header with the text "Gen", and the key "gen". escaped
+// braces ("\{" and "\}") are part of the text
+function parse_header(cell, span) {
+    const match = /^((?:[^\\]|\\.)*?)\s*\{((?:[^\\{}]|\\.)+)\}$/.exec(cell);
+    if (match === null) return { text: unescape(cell), span };
+    return { text: unescape(match[1]), span, key: unescape(match[2].trim()) };
+}
+
+function parse_row_headers(rows_of_cells) {
+    rows_of_cells = rows_of_cells.map(cells => cells.map(strip_whitespace));
+    const num_levels = max_or(rows_of_cells.map(len), 0);
+    const row_headers = [...range(num_levels)].map(_ => []);
+
+    for (const [y, cells] of enumerate(rows_of_cells)) {
+        // does a new header start on this line, in the level to the left?
+        let outer_starts = y === 0;
+        for (const [level, text] of enumerate(cells)) {
+            const is_last_level = level === num_levels - 1;
+            if (outer_starts || is_last_level || text !== "") {
+                row_headers[level].push(parse_header(text, 1));
+                outer_starts = true;
+            } else {
+                row_headers[level].at(-1).span++;
+            }
+        }
+    }
+
+    return row_headers;
+}
+
+// the column of the right-most pipe that only has blanks (or "-") to
+// the left of it on every line, or -1 if there is no such pipe
+function find_blank_corner_end(lines) {
+    if (len(lines) === 0) return -1;
+    let corner_end = -1;
+    // in a blank corner, the position of a pipe is also its column
+    for (const { at } of find_pipes(lines[0])) {
+        const is_corner = lines.every(line =>
+            line[at] === "|" && is_blank_corner(line.slice(0, at)));
+        if (!is_corner) break;
+        corner_end = at;
+    }
+    return corner_end;
+}
+
+function parse_column_headers(lines, data_start, context) {
+    // the pipe where the corner ends on every line, and the pipes after it
+    const corners = [];
+    const pipes = [];
+    for (const [y, line] of enumerate(lines)) {
+        const found = find_pipes(line);
+        let corner = { at: -1, column: -1 };
+        if (data_start !== -1) {
+            const column = closest(found.map(pipe => pipe.column), data_start);
+            if (column === undefined) {
+                throw context.error(`expected a "|" where the row headers end`, y, data_start);
+            }
+            check_aligned(column, data_start, "where the row headers end", y, context);
+            corner = found.find(pipe => pipe.column === column);
+        }
+        corners.push(corner);
+        pipes.push(found.filter(pipe => pipe.at > corner.at));
+    }
+
+    // which boundary between two columns every pipe is. from the bottom up,
+    // every pipe must be right above a pipe of the line below, or else the
+    // header below it straddles the two headers on either side of it
+    const columns = pipes.map(found => found.map(pipe => pipe.column));
+    for (let y = len(lines) - 2; y >= 0; y--) {
+        const below = columns[y + 1];
+        columns[y] = columns[y].map(x => {
+            if (below.includes(x)) return x;
+            const nearest = closest(below.filter(b => !columns[y].includes(b)), x);
+            if (nearest === undefined || Math.abs(nearest - x) > SNAP_DISTANCE) {
+                const cell = (line, x) => cell_at(lines[line], [corners[line], ...pipes[line]], x);
+                throw context.error(`the header "${cell(y + 1, x)}" straddles the headers `
+                    + `"${cell(y, x - 1)}" and "${cell(y, x + 1)}" of the line above it`, y + 1, x);
+            }
+            check_aligned(x, nearest, "of the line below", y, context);
+            return nearest;
+        });
+    }
+
+    // every pipe in any line is a boundary between two columns
+    const boundaries = [...new Set(columns.flat())];
+
+    return lines.map((line, y) => {
+        const edges = [corners[y], ...pipes[y]].map(pipe => pipe.at).concat(Infinity);
+        const edge_columns = [data_start, ...columns[y], Infinity];
+        const ch_row = [];
+        for (let i = 1; i < len(edges); i++) {
+            const text = line.slice(edges[i - 1] + 1, edges[i] === Infinity ? undefined : edges[i]).trim();
+            const [left, right] = [edge_columns[i - 1], edge_columns[i]];
+            const span = 1 + boundaries.filter(b => left < b && b < right).length;
+            ch_row.push(parse_header(text, span));
+        }
+        return ch_row;
+    });
+}
+
+// the text of the cell of `line` that column `x` is in, between two of `pipes`
+function cell_at(line, pipes, x) {
+    const left = pipes.filter(pipe => pipe.column < x).at(-1)?.at ?? -1;
+    const right = pipes.find(pipe => pipe.column >= x)?.at ?? len(line);
+    return unescape(line.slice(left + 1, right)).trim();
+}
@@ -12,9 +12,11 @@ import {
     numerically,
     range,
     _typeof,
+    parse_json,
 } from "./utils.mjs";
 
 import { Entry } from "./entry.mjs";
+import { compute_layout } from "./console.mjs";
 /**
  * Thrown when trying to access a field that is out of bounds
  * @class
@@ -27,17 +29,40 @@ export class OutOfBoundsError extends Error {
     }
 }
 
+/**
+ * How a `Matrix` is represented in JSON.
+ * @typedef {Object} MatrixJSON
+ * @property {number} height - number of rows
+ * @property {number} width - number of columns
+ * @property {true} [sparse] - only present (and true) if the matrix is sparse
+ * @property {Array<Array>} cells - one array per row, with one
+ *   [EntryJSON]{@link module:entry~EntryJSON} per column. If the matrix is
+ *   sparse, only the stored fields that aren't empty (or have attributes),
+ *   as `[row, column, EntryJSON]`
+ */
+
 Array.prototype.max = function() { return max(this); }
 Array.prototype.max_or = function (value) { return max_or(this, value); }
 
 
 /**
  * A 2 dimensional matrix.
+ *
+ * A matrix is either dense (the default), where every field has its own
+ * `Entry`, or sparse, where only the fields that have been set (or retrieved
+ * with [get()]{@link module:matrix.Matrix#get}) are stored. In a sparse
+ * matrix, [entries()]{@link module:matrix.Matrix#entries}, `slice()` and
+ * finding empty rows and columns only cost as much as there are stored fields,
+ * which makes it a good fit for large, mostly empty, tables.
  */
 export class Matrix {
+    // dense: array of rows of Entry
+    // sparse: Map of y -> Map of x -> Entry
     #data;
     #width;
     #height;
+    #sparse = false;
+    #set_mode = "replace";
 
     /**
      * Construct a new Matrix with `height` rows, and `width` columns.
@@ -47,8 +72,14 @@ export class Matrix {
      * @param width {number|null} - number of columns
      * @param opts {Object}
      * @param [opts.fill] {Any} - If given, fill every field with this value
+     * @param [opts.sparse=false] {boolean} - If true, only store the fields
+     *   that have values
+     * @param [opts.set_mode="replace"] {string} - see
+     *   [set_mode]{@link module:matrix.Matrix#set_mode}
      */
     constructor(height, width, opts = {}) {
+        this.#sparse = opts.sparse === true;
+        if ("set_mode" in opts) this.set_mode = opts.set_mode;
     // opts = {
     //   fill: static value to fill with, or function that takes (x, y) and returns a value
     //   data: pre-filled array of arrays of data, all rows must have the same amount of columns
@@ -66,7 +97,16 @@ export class Matrix {
 
         this.#width = width;
         this.#height = height;
-        if (!("fill" in opts)) {
+        if (this.#sparse) {
+            this.#data = new Map();
+            if ("fill" in opts) {
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        this.set(y, x, opts.fill(x, y));
+                    }
+                }
+            }
+        } else if (!("fill" in opts)) {
             this.#data = Array(height).fill(null)
                 .map(_ => Array(width).fill(null).map(_ => new Entry));
         } else {
@@ -86,7 +126,9 @@ export class Matrix {
      * Construct a new Matrix from a 2-dimensional array of data.
      * @param data {Array<Array<Any>>} - the data
      * @param opts {Object}
-     * @param [opts.]
+     * @param [opts.empty_value] {Any} - if given, treat this value as empty
+     * @param [opts.sparse=false] {boolean} - make a sparse matrix
+     * @param [opts.set_mode="replace"] {string}
      */
     static from_data(data, opts) {
         if (!Array.isArray(data)) {
@@ -94,7 +136,10 @@ export class Matrix {
         }
 
         try {
-            const m = new Matrix();
+            const m = new Matrix(undefined, undefined, {
+                sparse: opts?.sparse === true,
+                set_mode: opts?.set_mode ?? "replace",
+            });
             m.set_raw_data(data, opts);
             return m;
         } catch (e) {
@@ -106,11 +151,145 @@ export class Matrix {
         }
     }
 
+    /**
+     * The JSON representation of the matrix, where the height and width is
+     * explicit (so even a matrix with no rows keeps its width), and every
+     * cell is represented like [Entry.toJSON()]{@link module:entry.Entry#toJSON}.
+     * A sparse matrix only has the fields that it stores.
+     * @returns {MatrixJSON}
+     */
+    toJSON() {
+        if (this.#sparse) {
+            return {
+                height: this.#height,
+                width: this.#width,
+                sparse: true,
+                cells: [...this.#stored()]
+                    .filter(([_, entry]) => entry.is_not_empty() || entry.has_attributes())
+                    .map(([[y, x], entry]) => [y, x, entry.toJSON()]),
+            };
+        }
+        return {
+            height: this.#height,
+            width: this.#width,
+            cells: this.raw_data.map(row => row.map(entry => entry.toJSON())),
+        };
+    }
+
+    /**
+     * Construct a Matrix from its JSON representation.
+     * @param {MatrixJSON|string} json - the representation, or a string of it
+     * @throws {ValueError} if `json` is not a valid MatrixJSON
+     * @returns {Matrix}
+     */
+    static fromJSON(json) {
+        json = parse_json(json, "Matrix.fromJSON");
+
+        const { height, width, sparse, cells } = json ?? {};
+        const is_size = n => Number.isInteger(n) && n >= 0;
+        if (!is_size(height) || !is_size(width) || !Array.isArray(cells)) {
+            throw new ValueError("Matrix.fromJSON(json): json must have a non-negative integer height and width, "
+                + "and an array of cells");
+        }
+
+        if (sparse === true) {
+            const is_cell = cell => Array.isArray(cell) && len(cell) === 3
+                && Number.isInteger(cell[0]) && cell[0] >= 0 && cell[0] < height
+                && Number.isInteger(cell[1]) && cell[1] >= 0 && cell[1] < width;
+            if (!cells.every(is_cell)) {
+                throw new ValueError(`Matrix.fromJSON(json): the cells of a sparse matrix must be [row, column, entry], `
+                    + `in ${height} rows and ${width} columns`);
+            }
+            const m = new Matrix(height, width, { sparse: true });
+            for (const [y, x, cell] of cells) m.#sparse_store(y, x, Entry.fromJSON(cell));
+            return m;
+        }
+
+        if (len(cells) !== height || cells.some(row => !Array.isArray(row) || len(row) !== width)) {
+            throw new ValueError(`Matrix.fromJSON(json): cells must be ${height} rows of ${width} cells`);
+        }
+
+        const m = new Matrix(height, width);
+        m.#data = cells.map(row => row.map(cell => Entry.fromJSON(cell)));
+        return m;
+    }
+
     [Symbol.toPrimitive]() { return `Matrix<${this.#height}, ${this.#width}>`; }
     str() { return this[Symbol.toPrimitive](); }
 
-    set(y, x, value) { this.#boundcheck(y, x, "set"); this.#data[y][x] = new Entry(value); }
-    get(y, x) { this.#boundcheck(y, x, "get"); return this.#data[y][x]; }
+    /**
+     * Is this a sparse matrix?
+     * @returns {boolean}
+     */
+    get is_sparse() { return this.#sparse; }
+
+    /**
+     * What [set()]{@link module:matrix.Matrix#set} does with a field that
+     * already has a value: "replace" (the default) replaces the value, and
+     * "accumulate" adds the new value as a variant of it, see
+     * [Entry.push()]{@link module:entry.Entry#push}.
+     * @type {string}
+     */
+    get set_mode() { return this.#set_mode; }
+    set set_mode(mode) {
+        if (mode !== "replace" && mode !== "accumulate") {
+            throw new ValueError(`Matrix.set_mode must be "replace" or "accumulate", not ${JSON.stringify(mode)}`);
+        }
+        this.#set_mode = mode;
+    }
+
+    /**
+     * Set the value at row `y`, column `x`. The attributes of the field are
+     * kept. If the field has a value, and the
+     * [set_mode]{@link module:matrix.Matrix#set_mode} is "accumulate",
+     * `value` is added as a variant of it instead.
+     * @param {number} y
+     * @param {number} x
+     * @param {Any} value
+     */
+    set(y, x, value) {
+        this.#boundcheck(y, x, "set");
+        const stored = this.#stored_entry(y, x);
+        if (this.#set_mode === "accumulate" && stored?.is_not_empty() && value !== Empty) {
+            stored.push(value);
+            return;
+        }
+        const attributes = stored?.attributes;
+        if (value === Empty && this.#sparse && !(attributes && Object.keys(attributes).length > 0)) {
+            this.#sparse_delete(y, x);
+        } else {
+            this.#put(y, x, new Entry(value, attributes));
+        }
+    }
+
+    /**
+     * The `Entry` at row `y`, column `x`. Changes made to the entry are
+     * changes to the matrix. In a sparse matrix, retrieving an empty field
+     * stores an entry for it, use [peek()]{@link module:matrix.Matrix#peek}
+     * to only read it.
+     * @param {number} y
+     * @param {number} x
+     * @returns {Entry}
+     */
+    get(y, x) {
+        this.#boundcheck(y, x, "get");
+        if (!this.#sparse) return this.#data[y][x];
+        return this.#data.get(y)?.get(x) ?? this.#sparse_store(y, x, new Entry());
+    }
+
+    /**
+     * Like [get()]{@link module:matrix.Matrix#get}, but an empty field of a
+     * sparse matrix is not stored, so changes to the returned entry may be
+     * lost. For reading the matrix.
+     * @param {number} y
+     * @param {number} x
+     * @returns {Entry}
+     */
+    peek(y, x) {
+        this.#boundcheck(y, x, "peek");
+        if (!this.#sparse) return this.#data[y][x];
+        return this.#data.get(y)?.get(x) ?? new Entry();
+    }
 
     /*
      * A `Matrix` is empty if all fields are Empty
@@ -128,13 +307,21 @@ export class Matrix {
 
     // retrieve the underlying array, with all field values extracted
     as_array({ empty_treated_as = undefined } = {}) {
-        return this.#data.map(columns =>
+        return this.raw_data.map(columns =>
             columns.map(entry => entry.value)
                 .map(value => value === Empty ? empty_treated_as : value)
         );
     }
 
-    get raw_data() { return this.#data; }
+    /**
+     * The rows of entries of the matrix. For a sparse matrix, this is a
+     * new array, where the fields that are not stored are new empty entries.
+     * @returns {Array<Array<Entry>>}
+     */
+    get raw_data() {
+        if (!this.#sparse) return this.#data;
+        return [...range(this.#height)].map(y => [...range(this.#width)].map(x => this.peek(y, x)));
+    }
     get width() { return this.#width; }
     get height() { return this.#height; }
 
@@ -149,7 +336,7 @@ export class Matrix {
         if (!Array.isArray(data)) throw new TypeError("Table.set_raw_data(data): data must be an array");
 
         if (data.length === 0) {
-            this.#data = [];
+            this.#data = this.#sparse ? new Map() : [];
             this.#width = 0;
             this.#height = 0;
             return;
@@ -178,9 +365,149 @@ export class Matrix {
             data = data.map(lines => lines.map(value => new Entry(value)));
         }
 
-        this.#data = data;
-        this.#height = this.#data.length;
-        this.#width = this.#data[0].length;
+        this.#height = data.length;
+        this.#width = data[0].length;
+        if (!this.#sparse) {
+            this.#data = data;
+            return;
+        }
+
+        this.#data = new Map();
+        for (const [y, row] of enumerate(data)) {
+            for (const [x, entry] of enumerate(row)) {
+                if (entry.is_not_empty()) this.#sparse_store(y, x, entry);
+            }
+        }
+    }
+
+    /**
+     * Insert a new row before row `at`, so that it becomes row `at`.
+     * `at` can be the height of the matrix, to add the row at the end.
+     * @param {number} at
+     * @param {Any[]} [values] - the values of the new row. If not given, the
+     *   new row is empty. If the matrix has no rows and no columns, the
+     *   matrix gets as many columns as there are values.
+     * @throws {OutOfBoundsError} if `at` is not in 0..height
+     * @throws {ValueError} if there are not as many values as columns
+     * @returns {this}
+     */
+    insert_row(at, values) {
+        this.#insert_boundcheck(at, this.#height, "insert_row", "at");
+        if (values !== undefined && this.#height === 0 && this.#width === 0) {
+            this.#width = len(values);
+        }
+        const row = this.#new_entries(values, this.#width, "insert_row");
+        if (!this.#sparse) {
+            this.#data.splice(at, 0, row);
+        } else {
+            this.#data = shift_keys(this.#data, at, 1);
+            for (const [x, entry] of enumerate(row)) {
+                if (entry.is_not_empty()) this.#sparse_store(at, x, entry);
+            }
+        }
+        this.#height++;
+        return this;
+    }
+
+    /**
+     * Add a new row at the end of the matrix.
+     * See [insert_row()]{@link module:matrix.Matrix#insert_row}.
+     * @param {Any[]} [values]
+     * @returns {this}
+     */
+    append_row(values) { return this.insert_row(this.#height, values); }
+
+    /**
+     * Insert a new column before column `at`, so that it becomes column `at`.
+     * `at` can be the width of the matrix, to add the column at the end.
+     * @param {number} at
+     * @param {Any[]} [values] - the values of the new column, from the top.
+     *   If not given, the new column is empty.
+     * @throws {OutOfBoundsError} if `at` is not in 0..width
+     * @throws {ValueError} if there are not as many values as rows
+     * @returns {this}
+     */
+    insert_column(at, values) {
+        this.#insert_boundcheck(at, this.#width, "insert_column", "at");
+        const column = this.#new_entries(values, this.#height, "insert_column");
+        if (!this.#sparse) {
+            for (const [y, row] of enumerate(this.#data)) row.splice(at, 0, column[y]);
+        } else {
+            for (const [y, row] of this.#data) this.#data.set(y, shift_keys(row, at, 1));
+            for (const [y, entry] of enumerate(column)) {
+                if (entry.is_not_empty()) this.#sparse_store(y, at, entry);
+            }
+        }
+        this.#width++;
+        return this;
+    }
+
+    /**
+     * Remove row `at`.
+     * @param {number} at
+     * @throws {OutOfBoundsError} if there is no such row
+     * @returns {this}
+     */
+    remove_row(at) {
+        this.#insert_boundcheck(at, this.#height - 1, "remove_row", "at");
+        if (!this.#sparse) {
+            this.#data.splice(at, 1);
+        } else {
+            this.#data.delete(at);
+            this.#data = shift_keys(this.#data, at + 1, -1);
+        }
+        this.#height--;
+        return this;
+    }
+
+    /**
+     * Remove column `at`.
+     * @param {number} at
+     * @throws {OutOfBoundsError} if there is no such column
+     * @returns {this}
+     */
+    remove_column(at) {
+        this.#insert_boundcheck(at, this.#width - 1, "remove_column", "at");
+        if (!this.#sparse) {
+            for (const row of this.#data) row.splice(at, 1);
+        } else {
+            for (const [y, row] of this.#data) {
+                row.delete(at);
+                this.#data.set(y, shift_keys(row, at + 1, -1));
+            }
+        }
+        this.#width--;
+        return this;
+    }
+
+    /**
+     * Change the size of the matrix. Rows and columns are removed from,
+     * or added to, the end (bottom and right). Added fields are empty.
+     * @param {number} height
+     * @param {number} width
+     * @returns {this}
+     */
+    resize(height, width) {
+        if (!Number.isInteger(height) || height < 0 || !Number.isInteger(width) || width < 0) {
+            throw new ValueError(`Matrix.resize(height=${height}, width=${width}): height and width must be non-negative integers`);
+        }
+
+        if (this.#sparse) {
+            for (const [[y, x]] of this.#stored()) {
+                if (y >= height || x >= width) this.#sparse_delete(y, x);
+            }
+        } else {
+            this.#data = this.#data.slice(0, height).map(row => row.slice(0, width));
+            for (const row of this.#data) {
+                while (len(row) < width) row.push(new Entry());
+            }
+            while (len(this.#data) < height) {
+                this.#data.push([...range(width)].map(_ => new Entry()));
+            }
+        }
+        this.#height = height;
+        this.#width = width;
+        return this;
     }
 
     /**
@@ -188,10 +515,14 @@ export class Matrix {
      * @returns {Matrix} the transposed matrix
      */
     transpose() {
-        const n = new Matrix(this.#width, this.#height);
+        const n = new Matrix(this.#width, this.#height, { sparse: this.#sparse, set_mode: this.#set_mode });
+        if (this.#sparse) {
+            for (const [[y, x], entry] of this.#stored()) n.#put(x, y, entry.clone());
+            return n;
+        }
         for (let y = 0; y < this.#height; y++) {
             for (let x = 0; x < this.#width; x++) {
-                n.set(x, y, this.get(y, x).value);
+                n.#put(x, y, this.get(y, x).clone());
             }
         }
         return n;
@@ -199,9 +530,21 @@ export class Matrix {
 
     /*
      * A string representation of the matrix, rows on their own line,
-     * aligned into columns that are separated visually by "|".
+     * aligned into columns that are separated visually by "|". Every column
+     * is as wide as its widest value, but at least `min_cell_width`, and
+     * values wider than `max_cell_width` are truncated with "…".
+     * The values of a field with variants are joined by `variant_separator`.
+     * Widths are measured in terminal columns, see `text_width()`. With
+     * `normalize`, the text is NFC-normalized first, so that a letter written
+     * with a combining diacritic becomes one precomposed character.
      */
-    as_console_str({ empty_indicator = "-" } = {}) {
+    as_console_str({
+        empty_indicator = "-",
+        variant_separator = ", ",
+        normalize = false,
+        min_cell_width = 0,
+        max_cell_width = null,
+    } = {}) {
         const lines = [];
         const replace_empty = typeof empty_indicator === "string";
 
@@ -209,10 +552,12 @@ export class Matrix {
             const cols = [];
 
             for (let x = 0; x < this.#width; x++) {
-                let value = this.get(y, x);
+                let value = this.peek(y, x);
 
                 if (replace_empty && value.is_empty() ) {
                     value = empty_indicator;
+                } else if (value.has_variants()) {
+                    value = value.values.map(str).join(variant_separator);
                 }
 
                 cols.push(value);
@@ -221,14 +566,25 @@ export class Matrix {
             lines.push(cols);
         }
 
-        const stringified_lines = lines.map(entries => entries.map(str));
-        const widest_entry = stringified_lines.map(entries => entries.map(len).max_or(0)).max_or(0);
-        const pad = pad_center(widest_entry);
-        return stringified_lines.map(entries => entries.map(pad).join(" | ")).join("\n");
+        const to_text = normalize ? value => str(value).normalize("NFC") : str;
+        const { rows } = compute_layout(lines.map(entries => entries.map(value => ({ text: to_text(value) }))), {
+            edges: 0,
+            min_cell_width,
+            max_cell_width,
+        });
+        return rows.map(cells => cells.map(({ text, width }) => pad_center(width)(text)).join(" | ")).join("\n");
     }
 
-    // Iterator over pairs of coordinates and values of this matrix
+    // Iterator over pairs of coordinates and values of this matrix, row by row.
+    // Entries that are empty are skipped, even if they have attributes
     *entries() {
+        if (this.#sparse) {
+            for (const [[y, x], entry] of this.#stored()) {
+                if (entry.is_not_empty()) yield [[y, x], entry.value];
+            }
+            return;
+        }
+
         for (const y of range(this.#height)) {
             for (const x of range(this.#width)) {
                 const entry = this.get(y, x);
@@ -245,49 +601,195 @@ export class Matrix {
         rows = [...new Set(rows)].sort(numerically);
         columns = [...new Set(columns)].sort(numerically);
 
-        const new_matrix = new Matrix(len(rows), len(columns));
+        return this.take(rows, columns);
+    }
 
-        for (const [[y, x], value] of this.entries()) {
+    /**
+     * Return a new Matrix with the rows `rows` and the columns `columns`, in
+     * the order they are given. Unlike [slice()]{@link module:matrix.Matrix#slice},
+     * the indexes are not sorted, and can be repeated. An index that is
+     * `null` gives an empty row (or column).
+     * @param {Array<number|null>} rows
+     * @param {Array<number|null>} columns
+     * @returns {Matrix}
+     */
+    take(rows, columns) {
+        const new_matrix = new Matrix(len(rows), len(columns), { sparse: this.#sparse, set_mode: this.#set_mode });
+
+        if (this.#sparse) {
+            const new_rows = positions(rows);
+            const new_columns = positions(columns);
+            for (const [[y, x], entry] of this.#stored()) {
+                for (const next_y of new_rows.get(y) ?? []) {
+                    for (const next_x of new_columns.get(x) ?? []) {
+                        new_matrix.#put(next_y, next_x, entry.clone());
+                    }
+                }
+            }
+            return new_matrix;
         }
 
         for (let [next_y, y] of enumerate(rows)) {
+            if (y === null) continue;
             for (let [next_x, x] of enumerate(columns)) {
-                new_matrix.set(next_y, next_x, this.get(y, x).value);
+                if (x === null) continue;
+                new_matrix.#put(next_y, next_x, this.get(y, x).clone());
             }
         }
 
         return new_matrix;
     }
 
-    /*
+    /**
+     * A new Matrix with the matrices side by side, from left to right.
+     * The entries are copied.
+     * @param {...Matrix} matrices - must all have the same height
+     * @throws {ValueError} if the heights differ
+     * @returns {Matrix}
+     */
+    static hconcat(...matrices) {
+        const height = same_size(matrices.map(m => m.height), "hconcat", "height");
+        const width = matrices.reduce((sum, m) => sum + m.width, 0);
+        const new_matrix = new Matrix(height, width, { sparse: matrices.some(m => m.is_sparse) });
+
+        let offset = 0;
+        for (const matrix of matrices) {
+            for (const [[y, x], entry] of matrix.#cells()) new_matrix.#put(y, offset + x, entry.clone());
+            offset += matrix.width;
+        }
+        return new_matrix;
+    }
+
+    /**
+     * A new Matrix with the matrices stacked, from top to bottom.
+     * The entries are copied.
+     * @param {...Matrix} matrices - must all have the same width
+     * @throws {ValueError} if the widths differ
+     * @returns {Matrix}
+     */
+    static vconcat(...matrices) {
+        const width = same_size(matrices.map(m => m.width), "vconcat", "width");
+        const height = matrices.reduce((sum, m) => sum + m.height, 0);
+        const new_matrix = new Matrix(height, width, { sparse: matrices.some(m => m.is_sparse) });
+
+        let offset = 0;
+        for (const matrix of matrices) {
+            for (const [[y, x], entry] of matrix.#cells()) new_matrix.#put(offset + y, x, entry.clone());
+            offset += matrix.height;
+        }
+        return new_matrix;
+    }
+
+    /**
      * Returns a new Matrix from this one, where all the empty rows and
-     * columns have been removed.
+     * columns have been removed, together with where the rows and columns
+     * that are kept ended up, as objects of old index -> new index.
+     * @param {Object} [options]
+     * @param {function(Any, number, number): Boolean} [options.is_empty] -
+     *   called with the value, row and column of every field that has a
+     *   value. If it returns true, the field counts as empty, such as for
+     *   placeholder values like "-". Fields without a value are always empty.
+     * @param {Boolean} [options.rows=true] - remove empty rows
+     * @param {Boolean} [options.columns=true] - remove empty columns
+     * @param {number[]} [options.keep_rows=[]] - rows to keep, even if empty
+     * @param {number[]} [options.keep_columns=[]] - columns to keep, even if
+     *   empty
+     * @returns {{ new_matrix: Matrix, new_rows: Object<number, number>, new_columns: Object<number, number> }}
+     * @example
+     *   const { new_matrix } = m.without_empty_rows_and_columns({
+     *       is_empty: value => value === "-" || value === "*",
+     *   });
      */
-    without_empty_rows_and_columns() {
-        const entries = [...this.entries()].map(([[y, x], _value]) => [y, x]);
-        const rows = [...new Set(entries.map(([y, x]) => y))].sort(numerically);
-        const columns = [...new Set(entries.map(([y, x]) => x))].sort(numerically);
-
-        const new_matrix = this.slice(rows, columns);
-
-        // read the valeus from the old matrix, and write them into the right
-        // place in the new one
-        // also create mapping of old -> new for both rows and columns
-        const new_columns = {}
-        const new_rows = {};
-        let next_y = 0;
-        for (let y of rows) {
-            let next_x = 0;
-            for (let x of columns) {
-                //new_matrix.set(next_y, next_x, this.get(y, x).value);
-                new_columns[x] = next_x;
-                new_rows[y] = next_y;
-                next_x++;
+    without_empty_rows_and_columns({
+        is_empty = null,
+        rows = true,
+        columns = true,
+        keep_rows = [],
+        keep_columns = [],
+    } = {}) {
+        const filled = [...this.entries()]
+            .filter(([[y, x], value]) => !is_empty?.(value, y, x))
+            .map(([yx, _value]) => yx);
+
+        const kept_rows = rows
+            ? [...new Set([...filled.map(([y, _x]) => y), ...keep_rows])].sort(numerically)
+            : [...range(this.#height)];
+        const kept_columns = columns
+            ? [...new Set([...filled.map(([_y, x]) => x), ...keep_columns])].sort(numerically)
+            : [...range(this.#width)];
+
+        const new_matrix = this.slice(kept_rows, kept_columns);
+
+        // mapping of old -> new, for both rows and columns
+        const new_rows = Object.fromEntries(kept_rows.map((y, next_y) => [y, next_y]));
+        const new_columns = Object.fromEntries(kept_columns.map((x, next_x) => [x, next_x]));
+
+        return { new_matrix, new_columns, new_rows };
+    }
+
+    // the stored entries of a sparse matrix, row by row, as [[y, x], entry]
+    *#stored() {
+        for (const y of [...this.#data.keys()].sort(numerically)) {
+            const row = this.#data.get(y);
+            for (const x of [...row.keys()].sort(numerically)) {
+                yield [[y, x], row.get(x)];
             }
-            next_y++;
         }
+    }
 
-        return { new_matrix, new_columns, new_rows };
+    // every stored entry, as [[y, x], entry]. all of them, if the matrix is
+    // not sparse
+    *#cells() {
+        if (this.#sparse) {
+            yield* this.#stored();
+            return;
+        }
+        for (const y of range(this.#height)) {
+            for (const x of range(this.#width)) yield [[y, x], this.#data[y][x]];
+        }
+    }
+
+    // the entry that is stored at (y, x), if any
+    #stored_entry(y, x) {
+        return this.#sparse ? this.#data.get(y)?.get(x) : this.#data[y][x];
+    }
+
+    // store `entry` at (y, x), without bounds checking
+    #put(y, x, entry) {
+        if (this.#sparse) this.#sparse_store(y, x, entry);
+        else this.#data[y][x] = entry;
+    }
+
+    #sparse_store(y, x, entry) {
+        if (!this.#data.has(y)) this.#data.set(y, new Map());
+        this.#data.get(y).set(x, entry);
+        return entry;
+    }
+
+    #sparse_delete(y, x) {
+        const row = this.#data.get(y);
+        if (row === undefined) return;
+        row.delete(x);
+        if (row.size === 0) this.#data.delete(y);
+    }
+
+    // `at` must be an integer in 0..=max
+    #insert_boundcheck(at, max, funcname, argname) {
+        if (!Number.isInteger(at) || at < 0 || at > max) {
+            throw new OutOfBoundsError(`Matrix.${funcname}(${argname}=${at}): ${argname} must be an integer from 0 to ${max}`);
+        }
+    }
+
+    // `n` new entries, with `values` if given
+    #new_entries(values, n, funcname) {
+        if (values === undefined) return [...range(n)].map(_ => new Entry());
+        if (!Array.isArray(values)) {
+            throw new TypeError(`Matrix.${funcname}(): values must be an array, not ${_typeof(values)}`);
+        }
+        if (len(values) !== n) {
+            throw new ValueError(`Matrix.${funcname}(): expected ${n} values, got ${len(values)}`);
+        }
+        return values.map(value => new Entry(value));
     }
 
     #boundcheck(y, x, funcname) {
@@ -316,6 +818,8 @@ export const EmptyMatrix = new (class _EmptyMatrix {
 
     set(y, x, value) { throw new OutOfBoundsError("Can't set value on the Empty Matrix, as is has no dimensions"); }
     get(y, x) { throw new OutOfBoundsError("Can't get value from the Empty Matrix, as is has no dimensions"); }
+    get is_sparse() { return false; }
+    peek(y, x) { throw new OutOfBoundsError("Can't get value from the Empty Matrix, as is has no dimensions"); }
 
     //static from_data(data) { throw new ValueError("can't create EmptyMatrix that has data"); }
     get raw_data() { return []; }
@@ -328,3 +832,29 @@ export const EmptyMatrix = new (class _EmptyMatrix {
     as_console_str() { return ""; }
 });
 
+// a copy of `map`, where the (numeric) keys from `from` and up are moved by `by`
+function shift_keys(map, from, by) {
+    return new Map([...map].map(([key, value]) => [key >= from ? key + by : key, value]));
+}
+
+// the size that all of `sizes` are, for Matrix.hconcat() and vconcat()
+function same_size(sizes, funcname, what) {
+    if (len(sizes) === 0) {
+        throw new ValueError(`Matrix.${funcname}(): at least one matrix must be given`);
+    }
+    if (sizes.some(size => size !== sizes[0])) {
+        throw new ValueError(`Matrix.${funcname}(): the matrices must have the same ${what}, `
+            + `but they have ${what}s ${sizes.join(", ")}`);
+    }
+    return sizes[0];
+}
+
+// the positions of every value in `indexes`, by value
+function positions(indexes) {
+    const out = new Map();
+    for (const [i, index] of enumerate(indexes)) {
+        if (!out.has(index)) out.set(index, []);
+        out.get(index).push(i);
+    }
+    return out;
+}
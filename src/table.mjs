@@ -1,26 +1,37 @@
 import {
     len,
-    _iter,
-    dedent,
     ValueError,
-    find_all_indexes,
-    align_columns,
-    group_by,
-    strip,
     range,
-    strip_whitespace,
     enumerate,
     pad_center,
+    pad_end,
+    text_width,
     zip,
-} from "./utils.mjs";
+    str,
+    escape_html,
+    Empty,
+    numerically,
+    collator,
+    is_pojo,
+    parse_json,
+} from "./utils.mjs";
 
-import { Matrix } from "./matrix.mjs";
+import { Matrix, OutOfBoundsError } from "./matrix.mjs";
+import { parse_csv, format_csv } from "./csv.mjs";
+import { render_grid, compute_layout, use_color, strip_ansi, check_style, ANSI_STYLES } from "./console.mjs";
+import { parse_format, format_header, format_value } from "./format.mjs";
 
 /**
  * A column header.
  * @typedef {Object} ColumnHeader
  * @property {string} text - the text that is displayed
- * @property {number} number - how many columns this header spans
+ * @property {number} span - how many columns this header spans
+ * @property {string} [key] - an optional identifier of the header, used to
+ *   address rows and columns by key, instead of by index
+ * @property {string[]} [footnotes] - the ids of the footnotes of the header
+ * @property {Boolean} [always_show] - if true, the columns under this header
+ *   are never removed by
+ *   [without_empty_rows_and_columns()]{@link Table#without_empty_rows_and_columns}
  */
 
 /**
@@ -28,20 +39,136 @@ import { Matrix } from "./matrix.mjs";
  * @typedef {Array<ColumnHeader>} ColumnHeaderRow
  */
 
+/**
+ * A row header. Mirrors a column header.
+ * @typedef {Object} RowHeader
+ * @property {string} text - the text that is displayed
+ * @property {number} span - how many rows this header spans
+ * @property {string} [key] - an optional identifier of the header
+ * @property {string[]} [footnotes] - the ids of the footnotes of the header
+ * @property {Boolean} [always_show] - if true, the rows of this header are
+ *   never removed by
+ *   [without_empty_rows_and_columns()]{@link Table#without_empty_rows_and_columns}
+ */
+
+/**
+ * A column of row headers. The first column of row headers is the
+ * outermost (left-most) one.
+ * @typedef {Array<RowHeader>} RowHeaderColumn
+ */
+
+/**
+ * A row (or a column) of a table, as given to the compare function of
+ * [sort_rows()]{@link Table#sort_rows} (and `sort_columns()`), and to the
+ * predicate of [filter_rows()]{@link Table#filter_rows} (and
+ * `filter_columns()`).
+ * @typedef {Object} LineDescriptor
+ * @property {number} index - the index of the row (or column)
+ * @property {RowHeader|ColumnHeader|undefined} header - the innermost header
+ *   of the row (or column), if the table has headers
+ * @property {string[]} path - the texts of the headers of the row (or
+ *   column), from the outermost one, to the innermost one
+ * @property {module:entry.Entry[]} entries - the cells of the row (or column)
+ */
+
+/**
+ * How a `Table` is represented in JSON. The headers are stored as they are,
+ * including their spans and keys.
+ * @typedef {Object} TableJSON
+ * @property {string|null} caption
+ * @property {RowHeaderColumn[]} row_headers
+ * @property {ColumnHeaderRow[]} column_headers
+ * @property {module:matrix~MatrixJSON} data
+ * @property {Array<{id: string, text: string}>} [footnotes] - in the order
+ *   they were added
+ */
+
 /**
  * A table.
  * Default constructor
  * @param {string} caption
  * @param {Any[][]} data
- * @param {string[]} row_headers
+ * @param {RowHeaderColumn[]|string[]} row_headers - the columns of row
+ *   headers. A flat array of strings is also accepted, meaning a single
+ *   column of row headers, one for each row.
  * @param {ColumnHeaderRow[]} column_headers
  */
 export class Table {
     constructor(caption, data, row_headers, column_headers) {
         this.caption = caption;
         this.data = data;
-        this.row_headers = row_headers;
+        this.row_headers = row_headers.every(rh => typeof rh === "string")
+            ? (len(row_headers) > 0 ? [row_headers.map(text => ({ text, span: 1 }))] : [])
+            : row_headers;
         this.column_headers = column_headers;
+
+        /**
+         * The footnotes of the table, by id. See
+         * [add_footnote()]{@link Table#add_footnote}.
+         * @type {Map<string, string>}
+         */
+        this.footnotes = new Map();
+    }
+
+    /**
+     * The JSON representation of the table. `JSON.stringify(table)` uses it,
+     * and [Table.fromJSON()]{@link Table.fromJSON} reads it back.
+     * @returns {TableJSON}
+     */
+    toJSON() {
+        return {
+            caption: this.caption,
+            row_headers: this.row_headers,
+            column_headers: this.column_headers,
+            data: this.data.toJSON(),
+            footnotes: [...this.footnotes].map(([id, text]) => ({ id, text })),
+        };
+    }
+
+    /**
+     * Construct a Table from its JSON representation.
+     * @param {TableJSON|string} json - the representation, or a string of it
+     * @throws {ValueError} if `json` is not a valid TableJSON, or if its
+     *   headers don't span the rows and columns of its data
+     * @returns {Table}
+     */
+    static fromJSON(json) {
+        json = parse_json(json, "Table.fromJSON");
+        if (json === null || typeof json !== "object") {
+            throw new ValueError("Table.fromJSON(json): json must be an object");
+        }
+
+        const { caption = null, row_headers, column_headers, data, footnotes = [] } = json;
+        const is_headers = headers => Array.isArray(headers) && headers.every(row =>
+            Array.isArray(row) && row.every(header =>
+                typeof header?.text === "string" && Number.isInteger(header.span) && header.span >= 1));
+        if (!is_headers(row_headers) || !is_headers(column_headers)) {
+            throw new ValueError("Table.fromJSON(json): row_headers and column_headers must be "
+                + "arrays of arrays of headers, with a text and a positive span");
+        }
+
+        if (!Array.isArray(footnotes) || footnotes.some(note => typeof note?.id !== "string" || typeof note.text !== "string")) {
+            throw new ValueError("Table.fromJSON(json): footnotes must be an array of footnotes, with an id and a text");
+        }
+
+        const matrix = Matrix.fromJSON(data);
+        const total_span = headers => headers.reduce((sum, { span }) => sum + span, 0);
+        for (const [level, ch_row] of enumerate(column_headers)) {
+            if (total_span(ch_row) !== matrix.width) {
+                throw new ValueError(`Table.fromJSON(json): the column headers of level ${level} span `
+                    + `${total_span(ch_row)} columns, but the data has ${matrix.width}`);
+            }
+        }
+        for (const [level, rh_column] of enumerate(row_headers)) {
+            if (total_span(rh_column) !== matrix.height) {
+                throw new ValueError(`Table.fromJSON(json): the row headers of level ${level} span `
+                    + `${total_span(rh_column)} rows, but the data has ${matrix.height}`);
+            }
+        }
+
+        const table = new Table(caption, matrix, row_headers, column_headers);
+        for (const { id, text } of footnotes) table.add_footnote(id, text);
+        return table;
     }
 
     [Symbol.toPrimitive]() {
@@ -52,25 +179,456 @@ export class Table {
 
     /**
      * Construct a new table from a given format string.
-     * @param {string} format
+     * If the lines of column headers are separated from the rows by a line
+     * of "-" (and "+"), the cells after the row headers are read as data, as
+     * written by [to_format()]{@link Table#to_format}. Otherwise, the table
+     * is empty. See [parse_format()]{@link module:format.parse_format} for
+     * how the pipes have to line up.
+     * @param {string} format
      * @param {Object} options
      * @property {string|null} caption
+     * @property {Boolean} [lenient=false] - read a pipe that is off by a
+     *   column or two as if it was where it should be
+     * @throws {TableFormatError} if the format can't be read, with the line
+     *   and column of the problem
      * @returns {Table}
      */
-    static from_format(format, { caption = null } = {}) {
+    static from_format(format, { caption = null, lenient = false } = {}) {
         if (typeof format !== "string") {
             throw new TypeError("Table.from_format(format): format must be a string");
         }
 
-        const { row_headers, column_headers } = parse_tableformat_string(format);
+        const { row_headers, column_headers, data: values } = parse_format(format, { lenient });
+
+        let data;
+        if (values !== null) {
+            data = Matrix.from_data(values, { empty_value: Empty });
+        } else {
+            const total_span = headers => headers.reduce((sum, { span }) => sum + span, 0);
+            const width = column_headers.map(total_span).max_or(1);
+            const height = row_headers.map(total_span).max_or(1);
+            data = new Matrix(height, width);
+        }
+
+        return new Table(caption, data, row_headers, column_headers);
+    }
+
+    /**
+     * Construct a new table from csv (RFC 4180). The first `header_rows`
+     * lines are the column headers, and the first `row_header_columns`
+     * columns are the row headers. The cells in the top left corner, above
+     * the row headers, are ignored. The rest are the data cells, where
+     * `empty_value` means that the cell is empty.
+     * In all lines of column headers but the last one, a blank cell, or a
+     * cell with the same text as the one to the left of it, is merged with it,
+     * into one spanned header, unless a header above them ends between them.
+     * The same goes for the columns of row headers, from top to bottom.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.delimiter=","]
+     * @param {number} [options.header_rows=1]
+     * @param {number} [options.row_header_columns=0]
+     * @param {string} [options.empty_value=""]
+     * @param {string|null} [options.caption=null]
+     * @returns {Table}
+     */
+    static from_csv(text, {
+        delimiter = ",",
+        header_rows = 1,
+        row_header_columns = 0,
+        empty_value = "",
+        caption = null,
+    } = {}) {
+        const records = parse_csv(text, { delimiter });
+        if (len(records) < header_rows) {
+            throw new ValueError(`Table.from_csv(): expected at least ${header_rows} lines of column headers, `
+                + `but there are only ${len(records)} lines`);
+        }
+
+        // spreadsheets often leave out empty cells at the end of a line
+        const num_columns = [row_header_columns, ...records.map(len)].max();
+        const lines = records.map(record => [...record, ...Array(num_columns - len(record)).fill("")]);
+
+        const column_headers = merge_repeated_headers(lines
+            .slice(0, header_rows)
+            .map(line => line.slice(row_header_columns)));
+
+        const body = lines.slice(header_rows);
+        const row_headers = merge_repeated_headers([...range(row_header_columns)]
+            .map(level => body.map(line => line[level])));
 
-        const width = column_headers.map(len).max_or(1);
-        const height = len(row_headers) || 1; // if 0, height must at least be 1
-        const data = new Matrix(height, width);
+        const values = body.map(line => line.slice(row_header_columns));
+        const data = len(values) > 0
+            ? Matrix.from_data(values, { empty_value })
+            : new Matrix(0, num_columns - row_header_columns);
 
         return new Table(caption, data, row_headers, column_headers);
     }
 
+    /**
+     * Construct a new table by pivoting an array of records (objects).
+     * The distinct values of the fields in `rows` become the row headers,
+     * and the distinct values of the fields in `columns` become the column
+     * headers. One field gives one level of headers, and the values of the
+     * first field spans over the values of the next ones. The values are
+     * ordered by when they first appear in the records. Every header has its
+     * value (as a string) as its key.
+     * The `value` field of every record is put in the cell of the matching row
+     * and column. When multiple records end up in the same cell, their values
+     * are combined as given by `aggregate`.
+     * @param {Object[]} records
+     * @param {Object} options
+     * @param {string[]} [options.rows=[]] - the fields to make row headers of
+     * @param {string[]} [options.columns=[]] - the fields to make column
+     *   headers of
+     * @param {string} options.value - the field that has the cell value
+     * @param {string|function(Any, Any): Any} [options.aggregate="first"] -
+     *   how to combine values of records that end up in the same cell:
+     *   "first" keeps the first value, "array" collects all values into an
+     *   array, "join" joins them as strings with `join_separator`, and
+     *   "variants" makes them variants of the value of the cell (see
+     *   [Entry.push()]{@link module:entry.Entry#push}).
+     *   A function is used to reduce the values.
+     * @param {string} [options.join_separator=", "]
+     * @param {string|null} [options.caption=null]
+     * @param {boolean} [options.sparse=false] - store the data in a sparse
+     *   [Matrix]{@link module:matrix.Matrix}, for when most of the cells
+     *   will be empty
+     * @throws {ValueError} if a record is not an object
+     * @returns {Table}
+     * @example
+     *   const records = [
+     *       { number: "Sg", case: "Nom", form: "guolli" },
+     *       { number: "Sg", case: "Ill", form: "guollái" },
+     *       { number: "Pl", case: "Nom", form: "guolit" },
+     *   ];
+     *   const table = Table.from_records(records, {
+     *       rows: ["case"],
+     *       columns: ["number"],
+     *       value: "form",
+     *   });
+     *   table.get_by_key("Ill", "Sg").value === "guollái";
+     */
+    static from_records(records, {
+        rows = [],
+        columns = [],
+        value,
+        aggregate = "first",
+        join_separator = ", ",
+        caption = null,
+        sparse = false,
+    } = {}) {
+        if (!Array.isArray(records)) {
+            throw new TypeError("Table.from_records(records): records must be an array");
+        }
+        if (typeof value !== "string") {
+            throw new TypeError("Table.from_records(): options.value must be the name of a field");
+        }
+        for (const [i, record] of enumerate(records)) {
+            if (typeof record !== "object" || record === null) {
+                throw new ValueError(`Table.from_records(): record ${i} must be an object, not ${str(record)}`);
+            }
+        }
+
+        const reduce = typeof aggregate === "function"
+            ? values => values.reduce(aggregate)
+            : RECORD_AGGREGATES[aggregate]?.(join_separator);
+        if (typeof reduce !== "function") {
+            throw new ValueError(`Table.from_records(): unknown aggregate ${JSON.stringify(aggregate)}, `
+                + `expected one of ${Object.keys(RECORD_AGGREGATES).join(", ")}, or a function`);
+        }
+
+        const row_tree = HeaderTree.from_records(records, rows);
+        const column_tree = HeaderTree.from_records(records, columns);
+        const data = new Matrix(row_tree.size, column_tree.size, {
+            sparse,
+            set_mode: aggregate === "variants" ? "accumulate" : "replace",
+        });
+
+        const cells = new Map();
+        for (const record of records) {
+            if (!(value in record)) continue;
+            const y = row_tree.index_of(record);
+            const x = column_tree.index_of(record);
+            const cell = `${y},${x}`;
+            if (!cells.has(cell)) cells.set(cell, { y, x, values: [] });
+            cells.get(cell).values.push(record[value]);
+        }
+
+        for (const { y, x, values } of cells.values()) {
+            if (aggregate === "variants") {
+                for (const value of values) data.set(y, x, value);
+            } else {
+                data.set(y, x, reduce(values));
+            }
+        }
+
+        return new Table(caption, data, row_tree.headers(), column_tree.headers());
+    }
+
+    /**
+     * The index of the row that is identified by `key`.
+     * A row is identified by a key, if one of the headers in its path of row
+     * headers has that key. An array of keys identifies the row that has
+     * all of them in its path, such as `["sg", "gen"]`.
+     * @param {string|string[]} key
+     * @throws {ValueError} if not exactly one row is identified by `key`
+     * @returns {number}
+     */
+    row_index(key) { return resolve_key(this.row_headers, this.data.height, key, "row", "row_index"); }
+
+    /**
+     * The index of the column that is identified by `key`.
+     * See [row_index()]{@link Table#row_index}.
+     * @param {string|string[]} key
+     * @throws {ValueError} if not exactly one column is identified by `key`
+     * @returns {number}
+     */
+    column_index(key) { return resolve_key(this.column_headers, this.data.width, key, "column", "column_index"); }
+
+    /**
+     * Get the entry of the cell in the row identified by `row_key`, and the
+     * column identified by `column_key`.
+     * @param {string|string[]} row_key
+     * @param {string|string[]} column_key
+     * @throws {ValueError} if a key doesn't identify exactly one row or column
+     * @returns {Entry}
+     * @example
+     *   const table = Table.from_format(`
+     *              | Sg{sg} | Pl{pl}
+     *     Nom{nom} |
+     *     Gen{gen} |
+     *   `);
+     *   table.set_by_key("gen", "pl", "gussiid");
+     *   table.get_by_key("gen", "pl").value === "gussiid";
+     */
+    get_by_key(row_key, column_key) {
+        return this.data.get(...resolve_keys(this, row_key, column_key, "get_by_key"));
+    }
+
+    /**
+     * Set the value of the cell in the row identified by `row_key`, and the
+     * column identified by `column_key`.
+     * @param {string|string[]} row_key
+     * @param {string|string[]} column_key
+     * @param {Any} value
+     * @throws {ValueError} if a key doesn't identify exactly one row or column
+     */
+    set_by_key(row_key, column_key, value) {
+        this.data.set(...resolve_keys(this, row_key, column_key, "set_by_key"), value);
+    }
+
+    /**
+     * Insert a new row before row `at`, with the row header `header`.
+     * The new row gets the same outer row headers as the row above it
+     * (or the row below it, if it's inserted at the top), and their spans
+     * grow by one. In a table with no rows, they are blank.
+     * @param {number} at - `0..height`
+     * @param {string|RowHeader|null} header - the innermost row header of
+     *   the new row (a text, or a header with an optional key). Must be
+     *   `null` if the table has no row headers.
+     * @param {Any[]} [values] - the values of the new row
+     * @returns {this}
+     * @example
+     *   // add "Ess" at the end of the "Sg" group of rows
+     *   table.insert_row(table.row_index(["sg", "com"]) + 1, { text: "Ess", key: "ess" });
+     */
+    insert_row(at, header, values) {
+        const row_headers = insert_header(this.row_headers, at, header, this.data.height, "insert_row");
+        this.data.insert_row(at, values);
+        this.row_headers = row_headers;
+        return this;
+    }
+
+    /**
+     * Add a new row at the end of the table.
+     * See [insert_row()]{@link Table#insert_row}.
+     * @param {string|RowHeader|null} header
+     * @param {Any[]} [values]
+     * @returns {this}
+     */
+    append_row(header, values) { return this.insert_row(this.data.height, header, values); }
+
+    /**
+     * Insert a new column before column `at`, with the column header
+     * `header`. The new column gets the same column headers above it as
+     * the column to the left of it (or to the right, if it's inserted first),
+     * and their spans grow by one. In a table with no columns, they are blank.
+     * @param {number} at - `0..width`
+     * @param {string|ColumnHeader|null} header - the bottom column header of
+     *   the new column. Must be `null` if the table has no column headers.
+     * @param {Any[]} [values] - the values of the new column
+     * @returns {this}
+     */
+    insert_column(at, header, values) {
+        const column_headers = insert_header(this.column_headers, at, header, this.data.width, "insert_column");
+        this.data.insert_column(at, values);
+        this.column_headers = column_headers;
+        return this;
+    }
+
+    /**
+     * Remove row `at`, and its row header. Spans of the row headers that
+     * spans it shrinks, and a row header that only spanned that row is
+     * removed.
+     * @param {number} at
+     * @returns {this}
+     */
+    remove_row(at) {
+        this.data.remove_row(at);
+        this.row_headers = remove_header(this.row_headers, at);
+        return this;
+    }
+
+    /**
+     * Remove column `at`, and its column headers. See
+     * [remove_row()]{@link Table#remove_row}.
+     * @param {number} at
+     * @returns {this}
+     */
+    remove_column(at) {
+        this.data.remove_column(at);
+        this.column_headers = remove_header(this.column_headers, at);
+        return this;
+    }
+
+    /**
+     * Change the size of the table, like
+     * [Matrix.resize()]{@link module:matrix.Matrix#resize}: rows and columns
+     * are removed from, or added to, the end, along with their headers.
+     * An added row gets the outer row headers of the last row, like with
+     * [append_row()]{@link Table#append_row}, and the innermost row header
+     * from `options.row_headers`, and likewise for an added column.
+     * @param {number} height
+     * @param {number} width
+     * @param {Object} [options]
+     * @param {Array<string|RowHeader>} [options.row_headers=[]] - the innermost
+     *   row header of every added row. Must be empty if the table has no row
+     *   headers.
+     * @param {Array<string|ColumnHeader>} [options.column_headers=[]] - the
+     *   bottom column header of every added column
+     * @throws {ValueError} if `height` or `width` is not a non-negative
+     *   integer, or if there isn't a header for every added row and column
+     * @returns {this}
+     * @example
+     *   // two more rows, and one column less
+     *   table.resize(table.data.height + 2, table.data.width - 1, { row_headers: ["Ess", "Com"] });
+     */
+    resize(height, width, { row_headers = [], column_headers = [] } = {}) {
+        if (!Number.isInteger(height) || height < 0 || !Number.isInteger(width) || width < 0) {
+            throw new ValueError(`Table.resize(height=${height}, width=${width}): height and width must be non-negative integers`);
+        }
+        const new_row_headers = resize_headers(this.row_headers, this.data.height, height, row_headers, "row");
+        const new_column_headers = resize_headers(this.column_headers, this.data.width, width, column_headers, "column");
+        this.data.resize(height, width);
+        this.row_headers = new_row_headers;
+        this.column_headers = new_column_headers;
+        return this;
+    }
+
+    /**
+     * Add a footnote to the table. Attach it to cells and headers with
+     * [attach_footnote()]{@link Table#attach_footnote}. The renderers number
+     * the footnotes in reading order (the column headers from the top, then
+     * the rows from the top, each from the left), put a marker with the
+     * number after the text of every cell and header it is attached to, and
+     * list the footnotes under the table. A footnote that isn't attached to
+     * anything in the table (such as when its cells have been removed by
+     * [slice()]{@link Table#slice}) is not rendered.
+     * @param {string} id
+     * @param {string} text
+     * @throws {ValueError} if the table already has a footnote with this id
+     * @returns {this}
+     */
+    add_footnote(id, text) {
+        if (this.footnotes.has(id)) {
+            throw new ValueError(`Table.add_footnote(id=${JSON.stringify(id)}): the table already has a footnote with this id`);
+        }
+        this.footnotes.set(id, text);
+        return this;
+    }
+
+    /**
+     * Attach the footnote `id` to a cell (given both `row` and `column`), or
+     * to the row header of `row`, or to the column header of `column`. For
+     * headers, `level` is the level of headers, where the innermost one is
+     * the default.
+     * @param {string} id
+     * @param {Object} target
+     * @param {number} [target.row]
+     * @param {number} [target.column]
+     * @param {number} [target.level]
+     * @throws {ValueError} if there is no footnote with this id, or no target
+     * @throws {OutOfBoundsError} if there is no such cell or header
+     * @returns {this}
+     * @example
+     *   table.add_footnote("rare", "Rarely used.");
+     *   table.attach_footnote("rare", { row: 2, column: 0 });
+     *   table.attach_footnote("rare", { column: 0, level: 0 });
+     */
+    attach_footnote(id, { row, column, level } = {}) {
+        if (!this.footnotes.has(id)) {
+            throw new ValueError(`Table.attach_footnote(id=${JSON.stringify(id)}): there is no footnote with this id`);
+        }
+
+        let target;
+        if (row !== undefined && column !== undefined) {
+            target = this.data.get(row, column).attributes;
+        } else if (row !== undefined) {
+            target = header_at(this.row_headers, row, level, "row");
+        } else if (column !== undefined) {
+            target = header_at(this.column_headers, column, level, "column");
+        } else {
+            throw new ValueError("Table.attach_footnote(): a row, a column, or both must be given");
+        }
+
+        const footnotes = target.footnotes ?? [];
+        if (!footnotes.includes(id)) target.footnotes = [...footnotes, id];
+        return this;
+    }
+
+    /**
+     * Sort the rows of the table, in place. The row headers are moved along
+     * with their rows. A spanned row header is never split: rows are only
+     * sorted among the other rows under the same parent header, and when
+     * sorting by header, the groups of rows under each parent header are
+     * sorted by the text of the parent header.
+     *
+     * `order` is either a compare function, that is given two
+     * [LineDescriptor]{@link LineDescriptor}s, or an object of options.
+     * Text is sorted with the collation of `locale` (see
+     * [collator()]{@link module:utils.collator}), numbers are sorted
+     * numerically, and empty cells are always sorted last.
+     * The sort is stable. `table.data` is replaced by a new matrix.
+     * @param {function(LineDescriptor, LineDescriptor): number|Object} [order]
+     * @param {string|number|string[]} [order.by="header"] - "header" sorts by
+     *   the text of the row headers. A number sorts by the values in the column
+     *   with that index, and a key (or an array of keys) by the values in
+     *   the column with that key, see [column_index()]{@link Table#column_index}
+     * @param {string} [order.locale] - such as "se", "sma" or "smj"
+     * @param {string} [order.direction="asc"] - "asc" or "desc"
+     * @throws {ValueError} if the direction, the locale or the key is not valid
+     * @throws {OutOfBoundsError} if there is no column with the index `by`
+     * @returns {this}
+     * @example
+     *   table.sort_rows({ by: "header", locale: "se" });
+     *   table.sort_rows({ by: "sg", direction: "desc" });
+     *   table.sort_rows((a, b) => a.path.length - b.path.length);
+     */
+    sort_rows(order = {}) { return this.#sort("row", order); }
+
+    /**
+     * Sort the columns of the table, in place. The same as
+     * [sort_rows()]{@link Table#sort_rows}, with columns instead of rows:
+     * `order.by` is "header", or the index or key of a row.
+     * @param {function(LineDescriptor, LineDescriptor): number|Object} [order]
+     * @param {string|number|string[]} [order.by="header"]
+     * @param {string} [order.locale]
+     * @param {string} [order.direction="asc"] - "asc" or "desc"
+     * @returns {this}
+     */
+    sort_columns(order = {}) { return this.#sort("column", order); }
+
     /**
      * Is the table empty?
      * @returns {Boolean}
@@ -82,148 +640,727 @@ export class Table {
      * Return a new table with only the specified rows and columns
      * @param {number[]} rows
      * @param {number[]} columns
+     * @returns {Table}
      */
     slice(rows, columns) {
         const new_matrix = this.data.slice(rows, columns);
-        const new_row_headers = this.row_headers
-            .filter((header, i) => rows.includes(i));
-
-        const new_column_headers = [];
-        const despanned = despan(this.column_headers);
-        for (const ch_row of despanned) {
-            const arr = [];
-            for (const [ch_idx, ch] of enumerate(ch_row)) {
-                if (columns.includes(ch_idx)) {
-                    console.log("pushing", ch);
-                    arr.push(ch);
-                }
-            }
-            new_column_headers.push(arr);
-        }
 
-        return new Table(
-            this.caption,
+        return this.#derived(
             new_matrix,
-            new_row_headers,
-            respan(new_column_headers),
+            select_headers(this.row_headers, rows),
+            select_headers(this.column_headers, columns),
         );
     }
 
-    as_grid_html({ screen_width }) {
-        console.log("as_grid_html().", `screen_width (${typeof screen_width})=${screen_width}`);
+    /**
+     * Return a new table with only the rows that `predicate` returns true
+     * for, together with their headers. Spanned headers shrink the same way as
+     * in [without_empty_rows_and_columns()]{@link Table#without_empty_rows_and_columns}.
+     * @param {function(LineDescriptor): Boolean} predicate - is given the
+     *   row as a [LineDescriptor]{@link LineDescriptor}, which has the index,
+     *   innermost header, path of headers and entries of the row
+     * @returns {Table}
+     * @example
+     *   // drop the rows where every form is marked as non-standard
+     *   table.filter_rows(row => !row.entries.every(entry =>
+     *       entry.attributes.class === "nonstandard"));
+     */
+    filter_rows(predicate) {
+        const rows = this.#lines("row").filter(predicate).map(line => line.index);
+        return this.slice(rows, [...range(this.data.width)]);
+    }
+
+    /**
+     * Return a new table with only the columns that `predicate` returns true
+     * for. See [filter_rows()]{@link Table#filter_rows}.
+     * @param {function(LineDescriptor): Boolean} predicate - is given the
+     *   column as a [LineDescriptor]{@link LineDescriptor}, where `path` is the
+     *   texts of the column headers above it, from the top
+     * @returns {Table}
+     * @example
+     *   // keep only the columns under "Plural"
+     *   table.filter_columns(column => column.path[0] === "Plural");
+     */
+    filter_columns(predicate) {
+        const columns = this.#lines("column").filter(predicate).map(line => line.index);
+        return this.slice([...range(this.data.height)], columns);
+    }
+
+    /**
+     * Return a new table where the rows are the columns of this one, and the
+     * other way around. The levels of column headers become the columns of
+     * row headers (the top level becomes the outermost), so a header that
+     * spans columns now spans rows, and the other way around.
+     * @returns {Table}
+     * @example
+     *   // cases as columns instead of rows
+     *   const rotated = table.transpose();
+     */
+    transpose() {
+        return this.#derived(
+            this.data.transpose(),
+            copy_headers(this.column_headers),
+            copy_headers(this.row_headers),
+        );
+    }
 
-        const additional_columns_due_to_having_row_headers = len(this.row_headers) > 0 ? 1 : 0;
+    /**
+     * A new table with the tables side by side, from left to right. The rows
+     * are matched by their row headers (by key, or by text for headers
+     * without a key), and a row that is missing from a table is empty in its
+     * columns. A row that only some of the tables have is put after the last
+     * row it shares outer headers with.
+     * @param {...Table} tables - the last argument can be the options
+     * @param {Object} [options]
+     * @param {Boolean} [options.group_headers=false] - if true, add a new top
+     *   level of column headers, with the caption of each table spanning its
+     *   columns
+     * @throws {ValueError} if the tables have different numbers of levels of
+     *   row (or column) headers, or a table has two rows with the same headers
+     * @returns {Table}
+     * @example
+     *   const combined = Table.hconcat(present, past, { group_headers: true });
+     */
+    static hconcat(...args) {
+        const { tables, group_headers } = concat_arguments(args, "hconcat");
+        same_levels(tables, "row_headers", "hconcat");
+        same_levels(tables, "column_headers", "hconcat");
 
-        let num_grid_columns = 0;
-        if (screen_width < 800) {
-            num_grid_columns = 2;
+        let row_headers, rows_of;
+        if (len(tables[0].row_headers) === 0) {
+            const heights = new Set(tables.map(table => table.data.height));
+            if (heights.size > 1) {
+                throw new ValueError("Table.hconcat(): tables without row headers must have the same number of rows");
+            }
+            row_headers = [];
+            rows_of = tables.map(table => [...range(table.data.height)]);
         } else {
-            num_grid_columns = this.data.width + additional_columns_due_to_having_row_headers;
+            ({ headers: row_headers, indexes: rows_of } = align_headers(tables.map(table => table.row_headers), "row", "hconcat"));
         }
-        console.log("num_grid_columns =", num_grid_columns);
 
-        const height = this.data.height + len(this.column_headers);
+        const column_headers = tables[0].column_headers.map((_, level) =>
+            tables.flatMap(table => copy_headers([table.column_headers[level]])[0]));
+        if (group_headers) column_headers.unshift(group_level(tables, table => table.data.width));
+
+        const data = Matrix.hconcat(...tables.map((table, t) =>
+            table.data.take(rows_of[t], [...range(table.data.width)])));
 
-        const ch = this.column_headers
-            .map((ch_row, y) =>
-                ch_row.map(({ text, span }, x) => {
-                    const style = `grid-row-start: ${y + 1}; grid-row-end: span 1; grid-column-start: ${x + 1}; grid-column-end: span ${span};`;
-                    return `<div style="${style}">${text === "(-)" ? "" : text}</div>`;
-                }).join(""))
-            .join("");
+        return concatenated(tables, data, row_headers, column_headers, "hconcat");
+    }
 
-        // for now just the column headers
-        const contents = ch;
-        const container_styles = `
-            display: grid;
-            grid-template-columns: repeat(${num_grid_columns}, 1fr);
-            grid-template-rows: repeat(${height}, 1fr);
-        `;
+    /**
+     * A new table with the tables stacked, from top to bottom. The tables
+     * must have the same column headers.
+     * @param {...Table} tables - the last argument can be the options
+     * @param {Object} [options]
+     * @param {Boolean} [options.group_headers=false] - if true, add a new
+     *   outermost column of row headers, with the caption of each table
+     *   spanning its rows
+     * @throws {ValueError} if the column headers of the tables differ, or
+     *   the tables have different numbers of levels of row headers
+     * @returns {Table}
+     */
+    static vconcat(...args) {
+        const { tables, group_headers } = concat_arguments(args, "vconcat");
+        same_levels(tables, "row_headers", "vconcat");
 
-        return `
-            <div style="${container_styles}">
-                ${contents}
-            </div>
-        `;
+        const first = tables[0];
+        for (const [t, table] of enumerate(tables)) {
+            const difference = headers_difference(first.column_headers, table.column_headers);
+            if (difference !== null) {
+                throw new ValueError(`Table.vconcat(): the column headers of table ${t} `
+                    + `differ from those of table 0: ${difference}`);
+            }
+        }
+
+        const row_headers = first.row_headers.map((_, level) =>
+            tables.flatMap(table => copy_headers([table.row_headers[level]])[0]));
+        if (group_headers) row_headers.unshift(group_level(tables, table => table.data.height));
+
+        const data = Matrix.vconcat(...tables.map(table => table.data));
+
+        return concatenated(tables, data, row_headers, copy_headers(first.column_headers), "vconcat");
     }
 
-    as_console_str({
-        show_caption = true,
-        caption_format = "{caption}",
-        caption_placement = "top",
-        empty_indicator = "-",
+    /**
+     * Write the table in the format that [from_format()]{@link Table.from_format}
+     * reads, including the data, so that `Table.from_format(table.to_format())`
+     * gives back the same table (except for the caption, and with all
+     * values as strings). Headers with a key are written as `Text{key}`,
+     * and pipes and backslashes in texts and values (and braces in headers)
+     * are escaped with a backslash, like `\|`. A value that is
+     * empty, starts or ends with whitespace, has a line break, or starts
+     * with a `"` is written as a JSON string, like `""` or `"a\nb"`.
+     * @returns {string}
+     * @example
+     *   Table.from_records(records, { rows: ["case"], columns: ["number"], value: "form" })
+     *       .to_format();
+     *   //          | Sg{Sg}  | Pl{Pl}
+     *   // ---------+---------+-------
+     *   // Nom{Nom} | guolli  | guolit
+     *   // Ill{Ill} | guollái |
+     */
+    to_format() {
+        const { width, height } = this.data;
+
+        const data_cells = [...range(height)].map(y => [...range(width)].map(x => {
+            const entry = this.data.peek(y, x);
+            return entry.is_empty() ? "" : format_value(entry_text(entry, ", "));
+        }));
+
+        // the width of every data column. a spanned column header that is
+        // wider than the columns it spans widens the last of them
+        const widths = [...range(width)].map(x => data_cells.map(cells => text_width(cells[x])).max_or(0));
+        const spanned_width = (x, span) =>
+            widths.slice(x, x + span).reduce((a, b) => a + b, 0) + 3 * (span - 1);
+        for (const ch_row of this.column_headers) {
+            let x = 0;
+            for (const header of ch_row) {
+                const missing = text_width(format_header(header)) - spanned_width(x, header.span);
+                if (missing > 0) widths[x + header.span - 1] += missing;
+                x += header.span;
+            }
+        }
+        const row_header_widths = this.row_headers
+            .map(rh_column => rh_column.map(format_header).map(text_width).max_or(0));
+
+        const corner = row_header_widths.map(w => " ".repeat(w));
+        const lines = [];
+
+        for (const ch_row of this.column_headers) {
+            const cells = [...corner];
+            let x = 0;
+            for (const header of ch_row) {
+                cells.push(pad_end(spanned_width(x, header.span))(format_header(header)));
+                x += header.span;
+            }
+            lines.push(cells.join(" | "));
+        }
+
+        // without column headers, the separator only has a "+" where the row
+        // headers end, since that is where from_format() takes them to end
+        const dashes = widths => widths.map(w => "-".repeat(w));
+        lines.push(len(this.column_headers) > 0
+            ? dashes([...row_header_widths, ...widths]).join("-+-")
+            : [...dashes(row_header_widths), dashes(widths).join("---")].join("-+-"));
+
+        const row_header_starts = by_start(this.row_headers);
+        for (let y = 0; y < height; y++) {
+            const cells = row_header_starts.map((starts, level) => {
+                const header = starts[y];
+                return pad_end(row_header_widths[level])(header === undefined ? "" : format_header(header));
+            });
+            cells.push(...data_cells[y].map((value, x) => pad_end(widths[x])(value)));
+            lines.push(cells.join(" | "));
+        }
+
+        return lines.map(line => line.trimEnd()).join("\n");
+    }
+
+    /**
+     * Write the table as csv (RFC 4180). Every row of column headers
+     * becomes a line, and every column of row headers becomes a column.
+     * [from_csv()]{@link Table.from_csv} reads it back.
+     * @param {Object} [options]
+     * @param {string} [options.delimiter=","]
+     * @param {Boolean} [options.show_column_headers=true]
+     * @param {Boolean} [options.show_row_headers=true]
+     * @param {string} [options.spans="repeat"] - "repeat" writes the text of a
+     *   spanned header in every cell it spans, "blank" only in the first one
+     * @param {string} [options.empty_value=""] - what to write for empty cells
+     * @param {string} [options.line_ending="\r\n"]
+     * @param {string} [options.variant_separator=", "] - what to join the
+     *   values of a cell with variants with
+     * @throws {ValueError} if given `header_rows` or `row_header_columns`,
+     *   which are options of [from_csv()]{@link Table.from_csv}, and not of
+     *   this method
+     * @returns {string}
+     */
+    to_csv({
+        delimiter = ",",
+        show_column_headers = true,
+        show_row_headers = true,
+        spans = "repeat",
+        empty_value = "",
+        line_ending = "\r\n",
+        variant_separator = ", ",
+        header_rows,
+        row_header_columns,
     } = {}) {
-        const data_lines = this.data.as_console_str({ empty_indicator }).split("\n");
+        // these used to be the names of show_column_headers and
+        // show_row_headers, so they are rejected instead of ignored
+        if (header_rows !== undefined) {
+            throw new ValueError("Table.to_csv(): header_rows is an option of from_csv(), use show_column_headers");
+        }
+        if (row_header_columns !== undefined) {
+            throw new ValueError("Table.to_csv(): row_header_columns is an option of from_csv(), use show_row_headers");
+        }
+        if (spans !== "repeat" && spans !== "blank") {
+            throw new ValueError(`Table.to_csv(): spans must be "repeat" or "blank", not ${JSON.stringify(spans)}`);
+        }
 
-        // find the widest entry out of all the fields
-        const widest_data_field = data_lines[0].split("|").map(len).max();
-        const widest_row_header = this.row_headers.map(len).max_or(0);
-        console.debug("Table::as_console_str(): this.column_headers =", this.column_headers);
-        const widest_column_header =
-            this.column_headers
-                .map(arr =>
-                    arr.map(obj => obj.text).map(len).max()
-                )
-                .max_or(1);
+        const { width, height } = this.data;
+        const texts = headers => spans === "repeat"
+            ? despan(headers).map(row => row.map(header => header.text))
+            : by_start(headers).map(row => row.map(header => header?.text ?? ""));
 
+        const row_header_texts = show_row_headers ? texts(this.row_headers) : [];
+        const corner = row_header_texts.map(_ => "");
+        const records = [];
 
-        const num_columns = this.column_headers.map(len).max_or(1);
-        const entry_width = 2 + [widest_column_header, widest_row_header, widest_data_field].max();
+        if (show_column_headers) {
+            for (const ch_row of texts(this.column_headers)) records.push([...corner, ...ch_row]);
+        }
+        for (let y = 0; y < height; y++) {
+            records.push([
+                ...row_header_texts.map(column => column[y]),
+                ...[...range(width)].map(x => {
+                    const entry = this.data.peek(y, x);
+                    if (entry.is_empty()) return empty_value;
+                    return entry.has_variants() ? entry_text(entry, variant_separator) : entry.value;
+                }),
+            ]);
+        }
 
-        const pad = pad_center(entry_width);
+        return format_csv(records, { delimiter, line_ending });
+    }
 
-        // pad out the data to the new width
-        const padded_data_lines = data_lines.map(line =>
-            line.split("|")
-                 .map(strip_whitespace)
-                 .map(pad)
-                 .join("|"));
+    /**
+     * Render the table as a semantic html `<table>`, with a `<caption>`,
+     * a `<thead>` with one `<tr>` per row of column headers (spanned headers
+     * get a `colspan`), and a `<tbody>` where each row starts with the
+     * `<th scope="row">` row headers (spanned ones get a `rowspan`), followed
+     * by the `<td>` data cells. The `class`, `title` and `data` attributes of
+     * an entry become html attributes of its `<td>`, see
+     * [EntryAttributes]{@link module:entry~EntryAttributes}.
+     * Footnote markers are `<sup>` elements, and the footnotes are listed
+     * in a `<tfoot>`.
+     * All text is html-escaped.
+     * @param {Object} [options]
+     * @param {string} [options.empty_indicator=""] - what to show in empty cells
+     * @param {Boolean} [options.show_caption=true] - include the `<caption>`
+     *   (only if the table has a caption)
+     * @param {string} [options.variant_separator=", "] - what to join the
+     *   values of a cell with variants with. A line
+     *   break ("\n") becomes a `<br>`
+     * @returns {string} the html
+     */
+    as_html({ empty_indicator = "", show_caption = true, variant_separator = ", " } = {}) {
+        const num_row_header_columns = len(this.row_headers);
+        const row_header_starts = by_start(this.row_headers);
+        const footnote_numbers = this.#footnote_numbers();
+        const sup = footnotes => html_footnote_marker(footnote_numbers, footnotes);
+        const lines = ["<table>"];
 
-        const lines = [];
+        if (show_caption && this.caption) {
+            lines.push(`  <caption>${escape_html(str(this.caption))}</caption>`);
+        }
+
+        if (len(this.column_headers) > 0) {
+            lines.push("  <thead>");
+            for (const [y, ch_row] of enumerate(this.column_headers)) {
+                const cells = [];
+                if (y === 0 && num_row_header_columns > 0) {
+                    // the empty top left corner, above the row headers
+                    const rowspan = len(this.column_headers);
+                    const attrs = (rowspan > 1 ? ` rowspan="${rowspan}"` : "")
+                        + (num_row_header_columns > 1 ? ` colspan="${num_row_header_columns}"` : "");
+                    cells.push(`<td${attrs}></td>`);
+                }
+                for (const { text, span, footnotes } of ch_row) {
+                    const attrs = span > 1
+                        ? ` scope="colgroup" colspan="${span}"`
+                        : ` scope="col"`;
+                    cells.push(`<th${attrs}>${escape_html(text)}${sup(footnotes)}</th>`);
+                }
+                lines.push(`    <tr>${cells.join("")}</tr>`);
+            }
+            lines.push("  </thead>");
+        }
 
-        // add the lines of matrix data, with the row header included
-        if (this.row_headers.length > 0) {
-            for (const [row_header, data_line] of zip(this.row_headers, padded_data_lines)) {
-                lines.push(`${row_header} | ${data_line}`);
+        lines.push("  <tbody>");
+        for (let y = 0; y < this.data.height; y++) {
+            const cells = [];
+            for (const starts of row_header_starts) {
+                const header = starts[y];
+                if (header === undefined) continue;
+                const attrs = header.span > 1
+                    ? ` scope="rowgroup" rowspan="${header.span}"`
+                    : ` scope="row"`;
+                cells.push(`<th${attrs}>${escape_html(header.text)}${sup(header.footnotes)}</th>`);
             }
-        } else {
-            // no row headers
-            for (const data_line of padded_data_lines) {
-                lines.push(data_line);
+            for (let x = 0; x < this.data.width; x++) {
+                const entry = this.data.peek(y, x);
+                const text = entry.is_empty()
+                    ? escape_html(empty_indicator)
+                    : html_entry_text(entry, variant_separator);
+                cells.push(`<td${html_attributes(entry, "as_html")}>${text}${sup(entry.attributes.footnotes)}</td>`);
+            }
+            lines.push(`    <tr>${cells.join("")}</tr>`);
+        }
+        lines.push("  </tbody>");
+
+        if (footnote_numbers.size > 0) {
+            const colspan = num_row_header_columns + this.data.width;
+            const attrs = colspan > 1 ? ` colspan="${colspan}"` : "";
+            lines.push("  <tfoot>");
+            for (const [id, number] of footnote_numbers) {
+                const text = escape_html(this.footnotes.get(id));
+                lines.push(`    <tr><td${attrs}><sup>${number}</sup> ${text}</td></tr>`);
+            }
+            lines.push("  </tfoot>");
+        }
+
+        lines.push("</table>");
+        return lines.join("\n");
+    }
+
+    /**
+     * Render the table as a css grid of `<div>`s.
+     *
+     * When `screen_width` is at least `breakpoint`, the grid has one column
+     * per data column (plus one for the row headers), and every header and
+     * cell is placed explicitly. Below the breakpoint, every row is reflowed
+     * into a stacked "card" in a grid of `narrow_columns` columns: the row
+     * header path spans the whole card, followed by "header: value" pairs, where
+     * the header is the despanned path of column headers of that column,
+     * such as "Singular / Nominative".
+     * The attributes of an entry become html attributes of the `<div>` of
+     * its value, and footnotes are marked and listed under the grid, like in
+     * [as_html()]{@link Table#as_html}.
+     * @param {Object} options
+     * @param {number} options.screen_width - the available width, in pixels
+     * @param {number} [options.breakpoint=800] - below this width, use the
+     *   narrow, stacked layout
+     * @param {number} [options.narrow_columns=2] - how many grid columns to
+     *   use in the narrow layout: 1, for every header above its value, or an
+     *   even number, for that many columns of "header: value" pairs
+     * @param {string} [options.empty_indicator=""] - what to show in empty
+     *   cells, and blank column headers
+     * @param {string} [options.path_separator=" / "] - what to join the column
+     *   header path with, in the narrow layout
+     * @param {string} [options.variant_separator=", "] - what to join the
+     *   values of a cell with variants with. A line
+     *   break ("\n") becomes a `<br>`
+     * @throws {TypeError} if `screen_width` is not a number
+     * @throws {ValueError} if `narrow_columns` is not 1 or a positive even
+     *   number, since a header and its value would end up on different lines
+     * @returns {string} the html
+     */
+    as_grid_html({
+        screen_width,
+        breakpoint = 800,
+        narrow_columns = 2,
+        empty_indicator = "",
+        path_separator = " / ",
+        variant_separator = ", ",
+    } = {}) {
+        if (typeof screen_width !== "number") {
+            throw new TypeError("Table.as_grid_html(): screen_width must be a number");
+        }
+        if (!Number.isInteger(narrow_columns) || narrow_columns < 1 || (narrow_columns > 1 && narrow_columns % 2 !== 0)) {
+            throw new ValueError(`Table.as_grid_html(): narrow_columns must be 1 or a positive even number, `
+                + `not ${JSON.stringify(narrow_columns)}`);
+        }
+
+        const footnote_numbers = this.#footnote_numbers();
+        const sup = footnotes => html_footnote_marker(footnote_numbers, footnotes);
+        const cell_text = entry => (entry.is_empty()
+            ? escape_html(empty_indicator)
+            : html_entry_text(entry, variant_separator)) + sup(entry.attributes.footnotes);
+        const div = (style, text, attributes = "") => style
+            ? `<div${attributes} style="${style}">${text}</div>`
+            : `<div${attributes}>${text}</div>`;
+        const notes = [...footnote_numbers]
+            .map(([id, number]) => `<sup>${number}</sup> ${escape_html(this.footnotes.get(id))}`);
+
+        const narrow = screen_width < breakpoint;
+        const contents = narrow
+            ? this.#grid_cards({ cell_text, div, sup, notes, path_separator })
+            : this.#grid_cells({ cell_text, div, sup, notes, empty_indicator });
+
+        const num_grid_columns = narrow
+            ? narrow_columns
+            : this.data.width + len(this.row_headers);
+
+        const container_style = `display: grid; grid-template-columns: repeat(${num_grid_columns}, 1fr);`;
+
+        return [
+            `<div style="${container_style}">`,
+            ...contents.map(line => `  ${line}`),
+            "</div>",
+        ].join("\n");
+    }
+
+    // the wide grid layout: every header and cell at its own position. a
+    // blank column header shows the empty indicator, like an empty cell
+    #grid_cells({ cell_text, div, sup, notes, empty_indicator }) {
+        const place = (y, x, rowspan, colspan) =>
+            `grid-row: ${y + 1} / span ${rowspan}; grid-column: ${x + 1} / span ${colspan};`;
+
+        const header_offset = len(this.column_headers);
+        const x_offset = len(this.row_headers);
+        const row_header_starts = by_start(this.row_headers);
+        const contents = [];
+
+        if (x_offset > 0 && header_offset > 0) {
+            contents.push(div(place(0, 0, header_offset, x_offset), ""));
+        }
+
+        for (const [y, ch_row] of enumerate(this.column_headers)) {
+            let x = x_offset;
+            for (const { text, span, footnotes } of ch_row) {
+                contents.push(div(place(y, x, 1, span), escape_html(text === "" ? empty_indicator : text) + sup(footnotes)));
+                x += span;
             }
         }
 
-        // add the column headers
-        const column_header_rows = [];
-        for (let i = 0; i < this.column_headers.length; i++) {
-            let line = [];
-            if (this.row_headers.length > 0) {
-                line.push(" ".repeat(widest_row_header - 1) + "- ");
+        for (let y = 0; y < this.data.height; y++) {
+            for (const [level, starts] of enumerate(row_header_starts)) {
+                const header = starts[y];
+                if (header === undefined) continue;
+                contents.push(div(place(y + header_offset, level, header.span, 1), escape_html(header.text) + sup(header.footnotes)));
+            }
+            for (let x = 0; x < this.data.width; x++) {
+                const entry = this.data.peek(y, x);
+                contents.push(div(place(y + header_offset, x + x_offset, 1, 1), cell_text(entry), html_attributes(entry, "as_grid_html")));
             }
+        }
+
+        // the footnotes, under the table, all the way across
+        const num_columns = x_offset + this.data.width;
+        for (const [i, note] of enumerate(notes)) {
+            contents.push(div(place(header_offset + this.data.height + i, 0, 1, num_columns), note));
+        }
 
-            for (let j = 0; j < this.column_headers[i].length; j++) {
-                const { text, span } = this.column_headers[i][j];
-                // TODO the width is incorrect either here or above, figure it out for perfect alignment
-                const width = entry_width + ((span - 1) * (entry_width + 1));
-                const pad = pad_center(width);
-                line.push(pad(text));
+        return contents;
+    }
+
+    // the narrow grid layout: every row as a card of "header: value" pairs
+    #grid_cards({ cell_text, div, sup, notes, path_separator }) {
+        // the paths are html, with the footnote markers of the headers
+        const html_headers = headers => headers.map(level => level.map(header =>
+            ({ ...header, text: escape_html(header.text) + sup(header.footnotes) })));
+        const separator = escape_html(path_separator);
+        const paths = header_paths(html_headers(this.column_headers), this.data.width)
+            .map(path => path.join(separator));
+        const row_paths = header_paths(html_headers(this.row_headers), this.data.height)
+            .map(path => path.join(separator));
+
+        const contents = [];
+        for (let y = 0; y < this.data.height; y++) {
+            if (len(this.row_headers) > 0) {
+                contents.push(div("grid-column: 1 / -1;", row_paths[y]));
             }
+            for (let x = 0; x < this.data.width; x++) {
+                contents.push(div(null, paths[x] ?? ""));
+                const entry = this.data.peek(y, x);
+                contents.push(div(null, cell_text(entry), html_attributes(entry, "as_grid_html")));
+            }
+        }
+        for (const note of notes) contents.push(div("grid-column: 1 / -1;", note));
+        return contents;
+    }
 
-            column_header_rows.push(line.join("|"));
+    /**
+     * Render the table as a GitHub-flavoured markdown pipe table. The row
+     * headers become the first column(s).
+     *
+     * Markdown tables only have one row of headers, so multiple rows of
+     * column headers are by default flattened into one, where each column
+     * gets the path of headers above it, such as "Singular / Nominative".
+     * The same goes for multiple columns of row headers. With
+     * `header_style: "repeat"`, every row of column headers is instead kept
+     * as a row of its own (the first is the markdown header row, the rest are
+     * the first rows of the body), and every column of row headers as a
+     * column of its own, with the text of a spanned header repeated in every
+     * column (or row) it spans.
+     * Footnote markers are markdown footnote references (`[^1]`), and the
+     * footnotes are listed under the table.
+     * A table with no columns and no row headers gets one blank column, since
+     * a markdown table must have at least one.
+     * @param {Object} [options]
+     * @param {string} [options.header_style="path"] - "path" or "repeat"
+     * @param {string} [options.path_separator=" / "]
+     * @param {string} [options.empty_indicator=""] - what to show in empty cells
+     * @param {Boolean} [options.show_caption=true]
+     * @param {string} [options.caption_format="**{caption}**"] - the caption
+     *   is written on a line of its own, above the table (or below it, and
+     *   its footnotes)
+     * @param {string} [options.caption_placement="top"] - "top" or "bottom"
+     * @param {string} [options.variant_separator=", "] - what to join the
+     *   values of a cell with variants with. A line
+     *   break ("\n") becomes a `<br>`
+     * @returns {string} the markdown
+     */
+    as_markdown(options = {}) {
+        const { table, notes } = this.#with_footnote_markers(
+            marks => marks.map(n => `[^${n}]`).join(""),
+            { variant_separator: options.variant_separator, empty_indicator: options.empty_indicator ?? "" },
+        );
+        return table.#markdown(options, notes.map(([number, text]) => `[^${number}]: ${text}`));
+    }
+
+    // the footnotes are right under the table, above a caption at the bottom
+    #markdown({
+        header_style = "path",
+        path_separator = " / ",
+        empty_indicator = "",
+        show_caption = true,
+        caption_format = "**{caption}**",
+        caption_placement = "top",
+        variant_separator = ", ",
+    } = {}, notes = []) {
+        if (header_style !== "path" && header_style !== "repeat") {
+            throw new ValueError(`Table.as_markdown(): header_style must be "path" or "repeat", not ${JSON.stringify(header_style)}`);
+        }
+
+        const { width, height } = this.data;
+        const column_paths = header_paths(this.column_headers, width);
+        const row_paths = header_paths(this.row_headers, height);
+
+        // the header lines, and the row header part of every line, as arrays of cells
+        let header_lines, row_header_cells;
+        if (header_style === "path") {
+            const corner = len(this.row_headers) > 0 ? [""] : [];
+            header_lines = [[...corner, ...column_paths.map(path => path.join(path_separator))]];
+            row_header_cells = row_paths.map(path => len(path) > 0 ? [path.join(path_separator)] : []);
+        } else {
+            const corner = this.row_headers.map(_ => "");
+            header_lines = despan(this.column_headers)
+                .map(ch_row => [...corner, ...ch_row.map(header => header.text)]);
+            if (len(header_lines) === 0) header_lines = [[...corner, ...range(width)].map(_ => "")];
+            row_header_cells = row_paths;
+        }
+
+        const data_lines = [...range(height)].map(y => [
+            ...row_header_cells[y],
+            ...[...range(width)].map(x => {
+                const entry = this.data.peek(y, x);
+                return entry.is_empty() ? empty_indicator : entry_text(entry, variant_separator);
+            }),
+        ]);
+
+        const escape = text => text.replaceAll("|", "\\|").replaceAll("\n", "<br>");
+        let lines = [...header_lines, ...data_lines].map(cells => cells.map(escape));
+        // a delimiter row without any "---" doesn't make a markdown table
+        if (len(lines[0]) === 0) lines = lines.map(_ => [""]);
+        const { widths } = compute_layout(lines.map(cells => cells.map(text => ({ text }))), { min_cell_width: 3 });
+        const format_line = cells => `| ${cells.map((cell, x) => pad_end(widths[x])(cell)).join(" | ")} |`;
+
+        const out = [];
+        out.push(format_line(lines[0]));
+        out.push(`| ${widths.map(w => "-".repeat(w)).join(" | ")} |`);
+        for (const cells of lines.slice(1)) out.push(format_line(cells));
+        if (len(notes) > 0) out.push("", ...notes);
+
+        if (show_caption && this.caption) {
+            const caption = caption_format.replaceAll("{caption}", escape(str(this.caption)));
+            if (caption_placement === "top") {
+                out.unshift(caption, "");
+            } else if (caption_placement === "bottom") {
+                out.push("", caption);
+            }
         }
 
-        // add a dotted line between the column headers and the rest
-        column_header_rows.push("-".repeat(entry_width * num_columns + widest_row_header + 1));
+        return out.join("\n");
+    }
+
+    /**
+     * Render the table as text, for the console. Every column is as wide as
+     * its widest cell, and a spanned column header is exactly as wide as the
+     * columns under it. Footnote markers are superscript numbers, and the
+     * footnotes are listed under the table, above a caption at the bottom.
+     * @param {Object} [options]
+     * @param {string} [options.border="ascii"] - "ascii", "single", "double",
+     *   "rounded" (box-drawing characters) or "compact" (no borders)
+     * @param {string|string[]} [options.align="left"] - "left", "right" or
+     *   "center", for all the columns, or an array with one for every column
+     * @param {string|string[]} [options.header_align="center"] - the same,
+     *   for the column headers, for all of them, or an array with one for
+     *   every level of column headers
+     * @param {Boolean} [options.show_caption=true]
+     * @param {string} [options.caption_format="{caption}"]
+     * @param {string} [options.caption_placement="top"] - "top" or "bottom"
+     * @param {string} [options.empty_indicator="-"] - what to show in empty cells
+     * @param {string} [options.variant_separator=", "] - what to join the
+     *   values of a cell with variants with
+     * @param {Boolean} [options.normalize=false] - NFC-normalize all text
+     *   before it's measured, for text with combining diacritics
+     * @param {number} [options.min_cell_width=0] - the narrowest a column can be
+     * @param {?number} [options.max_cell_width=null] - texts that are wider
+     *   are truncated with "…", headers included
+     * @param {?number} [options.max_width=null] - how wide the table can be,
+     *   such as `process.stdout.columns`
+     * @param {string} [options.overflow="wrap"] - what to do with a table
+     *   that is wider than `max_width`: "wrap" narrows the widest columns, and
+     *   wraps the text in them over more lines, and "chunk" splits the
+     *   columns up into tables that are stacked on top of each other, each
+     *   with the row headers
+     * @param {Boolean|string} [options.color=false] - style the text with
+     *   ANSI escape codes. "auto" means only if standard output is a terminal
+     *   (and `NO_COLOR` is not set)
+     * @param {Object<string, string>} [options.styles] - the styles of the
+     *   headers (`header`, "bold" by default) and empty cells (`empty`, "dim"
+     *   by default), and named styles for cells. A cell with a `style`
+     *   attribute gets that style, which is either names of
+     *   [ANSI_STYLES]{@link module:console.ANSI_STYLES} or of styles in
+     *   `styles`, such as `{ nonstandard: "yellow" }`. Other names in a
+     *   `style` attribute are ignored
+     * @throws {ValueError} if a style in `styles` has a name that is not one
+     *   of the ANSI_STYLES, whether `color` is on or not
+     * @returns {string}
+     * @example
+     *   table.data.get(1, 0).attributes.style = "nonstandard";
+     *   console.log(table.as_console_str({
+     *       max_width: process.stdout.columns,
+     *       color: "auto",
+     *       styles: { nonstandard: "yellow italic" },
+     *   }));
+     */
+    as_console_str(options = {}) {
+        const { table, notes } = this.#with_footnote_markers(
+            marks => marks.map(superscript).join(","),
+            { variant_separator: options.variant_separator, empty_indicator: options.empty_indicator ?? "-" },
+        );
+        const normalized = options.normalize ? note => note.normalize("NFC") : note => note;
+        return table.#console_str(options, notes.map(([number, note]) => `${superscript(number)} ${normalized(note)}`));
+    }
+
+    // the footnotes are right under the table, above a caption at the bottom
+    #console_str(options = {}, notes = []) {
+        const {
+            show_caption = true,
+            caption_format = "{caption}",
+            caption_placement = "top",
+            normalize = false,
+            max_width = null,
+            overflow = "wrap",
+        } = options;
+        if (max_width !== null && !(Number.isInteger(max_width) && max_width > 0)) {
+            throw new ValueError(`Table.as_console_str(): max_width must be a positive integer, not ${str(max_width)}`);
+        }
+        if (overflow !== "wrap" && overflow !== "chunk") {
+            throw new ValueError(`Table.as_console_str(): overflow must be "wrap" or "chunk", not ${JSON.stringify(overflow)}`);
+        }
 
-        // finally actually append them, using unshift() because the order is reversed
-        for (let i = column_header_rows.length - 1; i >= 0; i--) {
-            lines.unshift(column_header_rows[i]);
+        let lines;
+        if (max_width !== null && overflow === "chunk") {
+            const rows = [...range(this.data.height)];
+            lines = this.#column_chunks(options).flatMap((columns, i) => [
+                ...(i > 0 ? [""] : []),
+                ...this.slice(rows, columns).#console_lines({ ...options, align: pick(options.align, columns) }),
+            ]);
+        } else {
+            lines = this.#console_lines(options);
         }
+        const max_line_length = lines.map(line => text_width(strip_ansi(line))).max_or(0);
+        if (len(notes) > 0) lines.push("", ...notes);
 
-        if (show_caption) {
-            const max_line_length = lines.map(len).max();
+        if (show_caption && this.caption) {
             let caption = caption_format.replaceAll("{caption}", this.caption);
-            caption = pad_center(max_line_length - caption.length)(caption);
+            if (normalize) caption = caption.normalize("NFC");
+            caption = pad_center(max_line_length)(caption);
 
             if (caption_placement === "top") {
                 lines.unshift("");
@@ -237,116 +1374,378 @@ export class Table {
         return lines.join("\n");
     }
 
-    without_empty_rows_and_columns() {
+    // the lines of the table, without the caption. widths are in terminal
+    // columns (see text_width()), so that combining diacritics, emoji and
+    // wide characters don't misalign the columns
+    #console_lines({
+        empty_indicator = "-",
+        variant_separator = ", ",
+        normalize = false,
+        border = "ascii",
+        align = "left",
+        header_align = "center",
+        max_width = null,
+        min_cell_width = 0,
+        max_cell_width = null,
+        color = false,
+        styles = {},
+    } = {}) {
+        const normalized = normalize ? text => text.normalize("NFC") : text => text;
+        const { width, height } = this.data;
+        const levels = len(this.row_headers);
+        const column_aligns = alignments(align, width, "align");
+        const header_aligns = alignments(header_align, len(this.column_headers), "header_align");
+
+        // the names of a style are looked up in `styles`, or are ANSI styles.
+        // other names are ignored, with or without color, since the style
+        // attribute of an entry can be meant for something else
+        const all_styles = { header: "bold", empty: "dim", ...styles };
+        for (const [name, style] of Object.entries(all_styles)) {
+            check_style(style, `Table.as_console_str(): styles.${name}`);
+        }
+        const style_of = use_color(color)
+            ? style => style?.split(" ")
+                .map(name => Object.hasOwn(all_styles, name) ? all_styles[name]
+                    : Object.hasOwn(ANSI_STYLES, name) ? name
+                    : "")
+                .join(" ")
+            : _style => undefined;
+
+        // the blank corner above the row headers is one cell, all the way down
+        const rows = this.column_headers.map((ch_row, level) => [
+            ...(levels > 0 ? [{ text: "", span: levels, continues: level < len(this.column_headers) - 1 }] : []),
+            ...ch_row.map(({ text, span }) => ({
+                text: normalized(text),
+                span,
+                align: header_aligns[level],
+                style: style_of("header"),
+            })),
+        ]);
+
+        // a spanned row header is only shown on the first row it spans
+        const row_header_starts = by_start(this.row_headers);
+        for (const y of range(height)) {
+            rows.push([
+                ...row_header_starts.map(starts => ({ text: normalized(starts[y]?.text ?? ""), style: style_of("header") })),
+                ...[...range(width)].map(x => {
+                    const entry = this.data.peek(y, x);
+                    if (entry.is_empty()) {
+                        return { text: normalized(empty_indicator), align: column_aligns[x], style: style_of("empty") };
+                    }
+                    return {
+                        text: normalized(entry_text(entry, variant_separator)),
+                        align: column_aligns[x],
+                        style: style_of(entry.attributes.style),
+                    };
+                }),
+            ]);
+        }
+
+        return render_grid(rows, { head: len(this.column_headers), border, max_width, min_cell_width, max_cell_width });
+    }
+
+    // the columns, split up into runs of columns that each fit in
+    // `options.max_width`, for as_console_str({ overflow: "chunk" })
+    #column_chunks(options) {
+        const rows = [...range(this.data.height)];
+        const fits = columns => this.slice(rows, columns)
+            .#console_lines({ ...options, align: pick(options.align, columns), max_width: null, color: false })
+            .every(line => text_width(line) <= options.max_width);
+
+        const chunks = [];
+        for (const x of range(this.data.width)) {
+            const last = chunks.at(-1);
+            if (last !== undefined && fits([...last, x])) last.push(x);
+            else chunks.push([x]);
+        }
+        return chunks;
+    }
+
+    /**
+     * Return a new table, where all rows and columns that only have empty
+     * cells are removed, together with their headers. A spanned header that
+     * loses some of the columns (or rows) it spans gets a smaller span, and is
+     * removed if it loses all of them.
+     * A row (or column) is always kept, if one of its headers has
+     * `always_show: true`.
+     * @param {Object} [options]
+     * @param {function(Any, number, number): Boolean} [options.is_empty] -
+     *   makes cells with some values count as empty, see
+     *   [Matrix.without_empty_rows_and_columns()]{@link module:matrix.Matrix#without_empty_rows_and_columns}
+     * @param {Boolean} [options.rows=true] - remove empty rows
+     * @param {Boolean} [options.columns=true] - remove empty columns
+     * @returns {Table}
+     * @example
+     *   // "-" and "*" (unattested) are only placeholders
+     *   table.without_empty_rows_and_columns({
+     *       is_empty: value => value === "-" || value === "*",
+     *       columns: false,
+     *   });
+     */
+    without_empty_rows_and_columns({ is_empty = null, rows = true, columns = true } = {}) {
         const {
             new_matrix,
             new_columns,
             new_rows,
-        } = this.data.without_empty_rows_and_columns();
+        } = this.data.without_empty_rows_and_columns({
+            is_empty,
+            rows,
+            columns,
+            keep_rows: always_shown(this.row_headers, this.data.height),
+            keep_columns: always_shown(this.column_headers, this.data.width),
+        });
 
-        const new_row_headers = [];
-        if (this.row_headers.length > 0) {
-            for (let row of Object.keys(new_rows).sort()) {
-                new_row_headers.push(this.row_headers[row]);
+        const new_row_headers = select_headers(this.row_headers, Object.keys(new_rows).map(Number));
+
+        const new_column_headers = select_headers(this.column_headers, Object.keys(new_columns).map(Number));
+
+        return this.#derived(new_matrix, new_row_headers, new_column_headers);
+    }
+
+    // sort the rows (if `axis` is "row") or columns, see sort_rows()
+    #sort(axis, order) {
+        const funcname = `sort_${axis}s`;
+        const headers = axis === "row" ? this.row_headers : this.column_headers;
+        const lines = this.#lines(axis);
+
+        let compare = order;
+        let compare_groups = null;
+        if (typeof order !== "function") {
+            const { by = "header", locale, direction = "asc" } = order;
+            if (direction !== "asc" && direction !== "desc") {
+                throw new ValueError(`Table.${funcname}(): direction must be "asc" or "desc", not ${JSON.stringify(direction)}`);
+            }
+            const sign = direction === "asc" ? 1 : -1;
+            const compare_text = collator(locale, `Table.${funcname}`);
+
+            if (by === "header") {
+                compare = (a, b) => sign * compare_text(a.header?.text ?? "", b.header?.text ?? "");
+                compare_groups = (a, b) => sign * compare_text(a.text, b.text);
+            } else {
+                const other_axis = axis === "row" ? "column" : "row";
+                const other_length = axis === "row" ? this.data.width : this.data.height;
+                const i = typeof by === "number"
+                    ? by
+                    : (axis === "row"
+                        ? resolve_key(this.column_headers, this.data.width, by, "column", funcname)
+                        : resolve_key(this.row_headers, this.data.height, by, "row", funcname));
+                if (!Number.isInteger(i) || i < 0 || i >= other_length) {
+                    throw new OutOfBoundsError(`Table.${funcname}(): there is no ${other_axis} ${i}`);
+                }
+                compare = (a, b) => compare_entries(a.entries[i], b.entries[i], compare_text, sign);
             }
         }
 
-        const new_column_headers = Array(len(this.column_headers))
-            .fill(null).map(_ => []);
-        const span_adjustments = Array(len(this.column_headers)).fill(0);
+        const despanned = despan(headers);
+        const sort_group = (indexes, level) => {
+            if (level >= len(headers) - 1) {
+                return indexes.map(i => lines[i]).sort(compare).map(line => line.index);
+            }
 
-        const despanned_column_headers = despan(this.column_headers);
+            // the runs of lines under the same header at this level
+            const groups = [];
+            for (const i of indexes) {
+                const header = despanned[level][i];
+                if (groups.at(-1)?.header !== header) groups.push({ header, indexes: [] });
+                groups.at(-1).indexes.push(i);
+            }
+            if (compare_groups) groups.sort((a, b) => compare_groups(a.header, b.header));
+            return groups.flatMap(group => sort_group(group.indexes, level + 1));
+        };
+        const sorted = sort_group([...range(len(lines))], 0);
 
-        for (let [_old, _new] of Object.entries(new_columns)) {
-            for (const [i, nch] of enumerate(new_column_headers)) {
-                const idx = _old - span_adjustments[i];
-                //console.log(`_old = ${_old}, i = ${i}, idx = ${idx}`);
-                const despanned_row = despanned_column_headers[i];
-                console.assert(Array.isArray(despanned_row));
-                const text = despanned_column_headers[i][idx];
-                console.assert(typeof text === "string");
-                //const { text, span } = this.column_headers[i][idx];
+        if (axis === "row") {
+            this.data = this.data.take(sorted, [...range(this.data.width)]);
+            this.row_headers = take_headers(this.row_headers, sorted);
+        } else {
+            this.data = this.data.take([...range(this.data.height)], sorted);
+            this.column_headers = take_headers(this.column_headers, sorted);
+        }
+        return this;
+    }
+
+    // every row (if `axis` is "row") or column, as a LineDescriptor
+    #lines(axis) {
+        const headers = axis === "row" ? this.row_headers : this.column_headers;
+        const { width, height } = this.data;
+        const n = axis === "row" ? height : width;
+        const m = axis === "row" ? width : height;
+        const innermost = despan(headers).at(-1) ?? [];
+        const paths = header_paths(headers, n);
+
+        return [...range(n)].map(i => ({
+            index: i,
+            header: innermost[i],
+            path: paths[i],
+            entries: [...range(m)].map(j => axis === "row" ? this.data.peek(i, j) : this.data.peek(j, i)),
+        }));
+    }
 
-                // TODO how do I know what the new span really should be?
-                nch.push({ text, span: 1 });
+    // a new table with the caption and footnotes of this one
+    #derived(data, row_headers, column_headers) {
+        const table = new Table(this.caption, data, row_headers, column_headers);
+        table.footnotes = new Map(this.footnotes);
+        return table;
+    }
 
-                // adjust spans
-                //if (span > 1) {
-                //    span_adjustments[i] += (span - 1);
-                //}
+    // the number of every footnote that is attached to something in the table,
+    // by id, numbered in reading order
+    #footnote_numbers() {
+        const numbers = new Map();
+        const visit = (footnotes = []) => {
+            for (const id of footnotes) {
+                if (this.footnotes.has(id) && !numbers.has(id)) numbers.set(id, numbers.size + 1);
             }
+        };
+
+        for (const level of this.column_headers) {
+            for (const header of level) visit(header.footnotes);
         }
+        const row_header_starts = by_start(this.row_headers);
+        for (let y = 0; y < this.data.height; y++) {
+            for (const starts of row_header_starts) visit(starts[y]?.footnotes);
+            for (let x = 0; x < this.data.width; x++) visit(this.data.peek(y, x).attributes.footnotes);
+        }
+        return numbers;
+    }
 
-        /*
-        console.log("without_empty_rows_and_columns()");
-        console.log("new_row_headers:", new_row_headers);
-        console.log("new_column_headers:", new_column_headers);
-        console.log("new_matrix:", new_matrix.str());
-        console.log(new_matrix.raw_data);
-        console.log(new_matrix.as_console_str());
-        */
+    // a copy of the table (without footnotes), where a footnote marker, made
+    // by `marker` from the footnote numbers, is added to the text of every
+    // header and cell that has footnotes. also returns the [number, text] of
+    // the footnotes, in order. the values of a cell with
+    // both footnotes and variants are joined by `variant_separator`, and an
+    // empty cell with footnotes gets the `empty_indicator` and the marker, and
+    // the "empty" style
+    #with_footnote_markers(marker, { variant_separator = ", ", empty_indicator = "" } = {}) {
+        const numbers = this.#footnote_numbers();
+        if (numbers.size === 0) return { table: this, notes: [] };
 
-        return new Table(
-            this.caption,
-            new_matrix,
-            new_row_headers,
-            new_column_headers
-        );
+        const mark = footnotes => {
+            const marks = footnote_marks(numbers, footnotes);
+            return len(marks) > 0 ? marker(marks) : "";
+        };
+        const mark_headers = headers => headers.map(level =>
+            level.map(header => ({ ...header, text: header.text + mark(header.footnotes) })));
 
+        const { width, height } = this.data;
+        const data = this.data.slice([...range(height)], [...range(width)]);
+        data.set_mode = "replace";
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const entry = data.peek(y, x);
+                const marked = mark(entry.attributes.footnotes);
+                if (marked === "") continue;
+                if (entry.is_empty()) {
+                    data.set(y, x, empty_indicator + marked);
+                    data.get(y, x).attributes.style = "empty";
+                } else {
+                    data.set(y, x, entry_text(entry, variant_separator) + marked);
+                }
+            }
+        }
+
+        const table = new Table(this.caption, data, mark_headers(this.row_headers), mark_headers(this.column_headers));
+        const notes = [...numbers].map(([id, number]) => [number, this.footnotes.get(id)]);
+        return { table, notes };
     }
 }
 
 
 
-const strip_pipe_from_end = strip({ characters: " |", from_beginning: false });
-const out_empty_lines = line => len(strip_whitespace(line)) > 0;
-const lengths_1_and_others = array => +!!(len(array) - 1);
+const RECORD_AGGREGATES = {
+    first: _sep => values => values[0],
+    array: _sep => values => values,
+    join: sep => values => values.map(str).join(sep),
+    // handled by the "accumulate" set mode of the matrix
+    variants: _sep => values => values,
+};
 
-function parse_tableformat_string(fmt) {
-    fmt = dedent(fmt).split("\n").filter(out_empty_lines);
+/*
+ * The distinct values of some fields of records, as a tree, where the first
+ * field is the top level. The leaves are the rows (or columns) of a table.
+ */
+class HeaderTree {
+    // value -> subtree, keyed on the values themselves, so that null,
+    // undefined and "null" are different headers
+    #root = new Map();
+    #depth;
+    #fields;
+    // leaf (the innermost subtree) -> index
+    #leaf_indexes = null;
 
-    let {
-        0: _row_headers_indexes,
-        1: column_pipe_indexes
-    } = group_by(lengths_1_and_others)(fmt.map(find_all_indexes("|")));
+    constructor(fields) {
+        this.#fields = fields;
+        this.#depth = len(fields);
+    }
 
-    // seems there are only row headers
-    if (column_pipe_indexes === undefined) column_pipe_indexes = [];
+    static from_records(records, fields) {
+        const tree = new HeaderTree(fields);
+        for (const record of records) tree.add(record);
+        return tree;
+    }
 
-    column_pipe_indexes = align_columns(column_pipe_indexes);
+    add(record) {
+        let node = this.#root;
+        for (const field of this.#fields) {
+            const value = record[field];
+            if (!node.has(value)) node.set(value, new Map());
+            node = node.get(value);
+        }
+        this.#leaf_indexes = null;
+    }
 
-    const row_headers = fmt.slice(len(column_pipe_indexes))
-        .map(strip_pipe_from_end).map(strip_whitespace);
+    // the number of leaves (at least 1, for a tree with no levels)
+    get size() { return len(this.#leaves()); }
 
-    const column_headers = fmt.slice(0, len(column_pipe_indexes))
-        .map(line =>
-            line.split("|").map(column => column.trim())
-                .filter(s => (s !== "-") && (s !== ""))
-                .map(s => ({ text: s, span: 1 })));
+    index_of(record) {
+        if (this.#leaf_indexes === null) {
+            this.#leaf_indexes = new Map(this.#leaves().map((leaf, i) => [leaf, i]));
+        }
+        let node = this.#root;
+        for (const field of this.#fields) node = node.get(record[field]);
+        return this.#leaf_indexes.get(node);
+    }
 
-    // adjust spans, based on the aligned indexes
-    for (let [pipe_indexes, ch_row] of zip(column_pipe_indexes, column_headers)) {
-        const null_indexes = find_all_indexes(null)(pipe_indexes);
+    headers() {
+        const headers = [...range(this.#depth)].map(_ => []);
+        const walk = (node, level) => {
+            let leaves = 0;
+            for (const [value, children] of node) {
+                const span = level === this.#depth - 1 ? 1 : walk(children, level + 1);
+                headers[level].push({ text: str(value), span, key: String(value) });
+                leaves += span;
+            }
+            return leaves;
+        };
+        if (this.#depth > 0) walk(this.#root, 0);
 
-        for (const [num_nulls_before, null_idx] of enumerate(null_indexes)) {
-            const adjusted_index = null_idx === 0 ? 0 : null_idx - num_nulls_before - 1;
-            ch_row[adjusted_index].span++;
-        }
+        // headers are added to their level in depth-first order, which is
+        // the same as left-to-right
+        return headers;
     }
 
-    return { row_headers, column_headers };
+    #leaves() {
+        const leaves = [];
+        const walk = (node, level) => {
+            if (level === this.#depth) return leaves.push(node);
+            for (const children of node.values()) walk(children, level + 1);
+        };
+        walk(this.#root, 0);
+        return leaves;
+    }
 }
 
-
-// from [ [ { text: "a", span: 3 }, ...], ... ]
-// to [ ["a", "a", "a"], ... ]
-function despan(column_headers) {
+// from [ [ a, ...], ... ], where a = { text: "a", span: 3 }
+// to [ [ a, a, a, ...], ... ]
+// the headers are not copied, so a header that spans multiple columns is the
+// same object in all of them. that is how respan() knows what to merge
+function despan(headers) {
     const out = [];
-    for (const ch_row of column_headers) {
+    for (const ch_row of headers) {
         const row = [];
-        for (const { text, span } of ch_row) {
-            for (const x of range(span)) {
-                row.push(text);
+        for (const header of ch_row) {
+            for (const x of range(header.span)) {
+                row.push(header);
             }
         }
         out.push(row);
@@ -354,43 +1753,380 @@ function despan(column_headers) {
     return out;
 }
 
-// opposite of despan
-function respan(column_headers) {
+// opposite of despan. adjacent columns that are the same header object are
+// merged back into one header, with a new span. headers are merged by
+// identity, not by text, so two distinct headers that happen to have the same
+// text stay separate. a header can also never span past the end of a header
+// in the row above it. a level with no columns left is kept, empty, so that
+// the table keeps its number of levels.
+function respan(despanned) {
     const out = [];
 
     // [
-    //   [ "a", "a", "a" ],
-    //   [ "A", "B", "C" ],
+    //   [ a, a, a ],
+    //   [ A, B, C ],
     // ]
     // -->
     // [
     //   [ { text: "a": span: 3 } ],
     //   ...
     // ]
-    for (const row of column_headers) {
+    let parent_boundaries = new Set();
+    for (const row of despanned) {
         const new_row = [];
-        let span = 1;
-        const it = _iter(row);
-        let { done, value } = it.next();
-        if (done) continue;
-        let current_value = value;
-
-        while (true) {
-            let { done, value } = it.next();
-            if (done) {
-                new_row.push({ text: current_value, span });
-                break;
-            }
-            if (value === current_value) {
-                span++;
+        const boundaries = new Set();
+        for (const [i, header] of enumerate(row)) {
+            if (i > 0 && header === row[i - 1] && !parent_boundaries.has(i)) {
+                new_row.at(-1).span++;
             } else {
-                new_row.push({ text: current_value, span });
-                current_value = value;
-                span = 1;
+                new_row.push({ ...header, span: 1 });
+                boundaries.add(i);
             }
         }
         out.push(new_row);
+        parent_boundaries = boundaries;
     }
-    
+
     return out;
 }
+
+// from [ [ "A", "", "B" ], [ "a1", "a2", "b" ] ]
+// to [ [ { text: "A", span: 2 }, { text: "B", span: 1 } ], [ { text: "a1", span: 1 }, ... ] ]
+// a blank cell, or a cell with the same text as the one before it, is part
+// of the same header as that one, except in the last row
+function merge_repeated_headers(rows_of_texts) {
+    return respan(rows_of_texts.map((texts, level) => {
+        const is_last_level = level === len(rows_of_texts) - 1;
+        const row = [];
+        for (const [i, text] of enumerate(texts)) {
+            const previous = row[i - 1];
+            const merge = !is_last_level && i > 0 && (text === "" || text === previous.text);
+            row.push(merge ? previous : { text, span: 1 });
+        }
+        return row;
+    }));
+}
+
+// the headers, with a new innermost header inserted at position `at`,
+// and the outer headers of the neighbour spanning it (or new, blank outer
+// headers, if there are no neighbours)
+function insert_header(headers, at, header, n, funcname) {
+    if (!Number.isInteger(at) || at < 0 || at > n) {
+        throw new OutOfBoundsError(`Table.${funcname}(at=${at}): at must be an integer from 0 to ${n}`);
+    }
+    if (len(headers) === 0) {
+        if (header !== null && header !== undefined) {
+            throw new ValueError(`Table.${funcname}(): the table has no headers in that direction, so header must be null`);
+        }
+        return headers;
+    }
+    if (header === null || header === undefined) {
+        throw new ValueError(`Table.${funcname}(): a header must be given`);
+    }
+
+    const new_header = typeof header === "string" ? { text: header, span: 1 } : { ...header, span: 1 };
+    const neighbour = at > 0 ? at - 1 : 0;
+    const despanned = despan(headers);
+    for (const [level, row] of enumerate(despanned)) {
+        const is_innermost = level === len(despanned) - 1;
+        // with no neighbour, the outer headers are blank
+        const outer = n > 0 ? row[neighbour] : { text: "", span: 1 };
+        row.splice(at, 0, is_innermost ? new_header : outer);
+    }
+    return respan(despanned);
+}
+
+// the headers, without the column (or row) at `at`
+function remove_header(headers, at) {
+    const despanned = despan(headers);
+    for (const row of despanned) row.splice(at, 1);
+    return respan(despanned);
+}
+
+// the headers of `n` rows (or columns), for `size` of them: without the
+// last ones, or with the innermost headers `added` for the new ones at the end
+function resize_headers(headers, n, size, added, direction) {
+    const expected = len(headers) > 0 ? Math.max(size - n, 0) : 0;
+    if (!Array.isArray(added) || len(added) !== expected) {
+        throw new ValueError(`Table.resize(): ${direction}_headers must be an array of ${expected} headers, `
+            + `one for each added ${direction}`);
+    }
+    if (size <= n) return select_headers(headers, [...range(size)]);
+    return added.reduce((headers, header, i) => insert_header(headers, n + i, header, n + i, "resize"), headers);
+}
+
+// the headers with only the columns (or rows) at `indexes` left
+function select_headers(headers, indexes) {
+    const selected = new Set(indexes);
+    return respan(despan(headers).map(row => row.filter((_, i) => selected.has(i))));
+}
+
+// the indexes of the `n` columns (or rows) that have a header with
+// `always_show: true` in their path
+function always_shown(headers, n) {
+    const despanned = despan(headers);
+    return [...range(n)].filter(i => despanned.some(row => row[i]?.always_show === true));
+}
+
+// the headers of the columns (or rows) `indexes`, in that order
+function take_headers(headers, indexes) {
+    return respan(despan(headers).map(row => indexes.map(i => row[i])));
+}
+
+// the items of `align` at `indexes`, if it's an array
+const pick = (align, indexes) => Array.isArray(align) ? indexes.map(i => align[i]) : align;
+
+// `align` for each of `n` columns (or levels of headers), for as_console_str()
+function alignments(align, n, name) {
+    const aligns = Array.isArray(align) ? align : [...range(n)].map(_ => align);
+    if (len(aligns) !== n || aligns.some(a => a !== "left" && a !== "right" && a !== "center")) {
+        throw new ValueError(`Table.as_console_str(): ${name} must be "left", "right" or "center", `
+            + `or an array of ${n} of them, not ${JSON.stringify(align)}`);
+    }
+    return aligns;
+}
+
+// a copy of the headers, where the headers and their footnotes are new objects
+function copy_headers(headers) {
+    return headers.map(row => row.map(copy_header));
+}
+
+function copy_header(header) {
+    return header.footnotes ? { ...header, footnotes: [...header.footnotes] } : { ...header };
+}
+
+// the tables, and the options, of Table.hconcat() or vconcat()
+function concat_arguments(args, funcname) {
+    const has_options = is_pojo(args.at(-1));
+    const options = has_options ? args.at(-1) : {};
+    const tables = has_options ? args.slice(0, -1) : args;
+    if (len(tables) === 0) {
+        throw new ValueError(`Table.${funcname}(): at least one table must be given`);
+    }
+    if (tables.some(table => !(table instanceof Table))) {
+        throw new TypeError(`Table.${funcname}(...tables): tables must be tables`);
+    }
+    return { tables, group_headers: options.group_headers === true };
+}
+
+// throws if the tables don't have the same number of levels of `which` headers
+function same_levels(tables, which, funcname) {
+    const levels = tables.map(table => len(table[which]));
+    if (levels.some(n => n !== levels[0])) {
+        throw new ValueError(`Table.${funcname}(): the tables must have the same number of levels `
+            + `of ${which.replace("_", " ")}, but they have ${levels.join(", ")}`);
+    }
+}
+
+// the union of the rows (or columns) of several sets of headers, matched by
+// their paths of header keys (or texts, for headers without a key). gives the
+// new headers, and for each set of headers, what the index of every new row
+// was in it, or null if it didn't have the row
+function align_headers(headers_list, what, funcname) {
+    const lines = [];
+    const found_in = [];
+    for (const [t, headers] of enumerate(headers_list)) {
+        const despanned = despan(headers);
+        const found = new Map();
+        for (const i of range(len(despanned[0]))) {
+            const path = despanned.map(row => row[i]);
+            const ids = path.map(header => header.key ?? header.text);
+            let line = lines.find(line => same_ids(line.ids, ids));
+            if (found.has(line)) {
+                throw new ValueError(`Table.${funcname}(): table ${t} has more than one ${what} `
+                    + `with the headers ${ids.join(" / ")}`);
+            }
+            if (line === undefined) {
+                line = { ids, path };
+                lines.splice(insertion_point(lines, ids), 0, line);
+            }
+            found.set(line, i);
+        }
+        found_in.push(found);
+    }
+
+    // lines next to each other with the same outer headers share them
+    const despanned = [...range(len(headers_list[0]))].map(level => {
+        const row = [];
+        for (const [i, line] of enumerate(lines)) {
+            const same_run = i > 0 && same_ids(lines[i - 1].ids.slice(0, level + 1), line.ids.slice(0, level + 1));
+            row.push(same_run ? row[i - 1] : copy_header(line.path[level]));
+        }
+        return row;
+    });
+
+    return {
+        headers: respan(despanned),
+        indexes: found_in.map(found => lines.map(line => found.get(line) ?? null)),
+    };
+}
+
+// where a new line with the path `ids` goes: after the last line that shares
+// the most outer headers with it, or at the end
+function insertion_point(lines, ids) {
+    for (let depth = len(ids) - 1; depth > 0; depth--) {
+        const prefix = ids.slice(0, depth);
+        const last = lines.findLastIndex(line => same_ids(line.ids.slice(0, depth), prefix));
+        if (last !== -1) return last + 1;
+    }
+    return len(lines);
+}
+
+const same_ids = (a, b) => len(a) === len(b) && a.every((id, i) => id === b[i]);
+
+// a level of headers with the caption of each table, spanning `size(table)`
+function group_level(tables, size) {
+    return tables
+        .filter(table => size(table) > 0)
+        .map(table => ({ text: table.caption ?? "", span: size(table) }));
+}
+
+// how the headers `b` differ from the headers `a`, or null if they're the same
+function headers_difference(a, b) {
+    const describe = header => `"${format_header(header)}" (span ${header.span})`;
+    if (len(a) !== len(b)) return `they have ${len(a)} and ${len(b)} levels`;
+    for (const level of range(len(a))) {
+        if (len(a[level]) !== len(b[level])) {
+            return `level ${level} has ${len(a[level])} and ${len(b[level])} headers`;
+        }
+        for (const [i, [x, y]] of enumerate(zip(a[level], b[level]))) {
+            if (x.text !== y.text || x.key !== y.key || x.span !== y.span) {
+                return `header ${i} of level ${level} is ${describe(x)} and ${describe(y)}`;
+            }
+        }
+    }
+    return null;
+}
+
+// the table that Table.hconcat() or vconcat() makes, with the footnotes of all
+// the tables
+function concatenated(tables, data, row_headers, column_headers, funcname) {
+    const table = new Table(null, data, row_headers, column_headers);
+    for (const { footnotes } of tables) {
+        for (const [id, text] of footnotes) {
+            if (!table.footnotes.has(id)) {
+                table.footnotes.set(id, text);
+            } else if (table.footnotes.get(id) !== text) {
+                throw new ValueError(`Table.${funcname}(): the tables have different footnotes with the id "${id}"`);
+            }
+        }
+    }
+    return table;
+}
+
+// from [ [ { text: "a", span: 2 }, { text: "b", span: 1 } ], ... ]
+// to [ [ { text: "a", span: 2 }, undefined, { text: "b", span: 1 } ], ... ]
+function by_start(headers) {
+    return headers.map(ch_row => {
+        const row = [];
+        for (const header of ch_row) {
+            row.push(header);
+            for (let i = 1; i < header.span; i++) row.push(undefined);
+        }
+        return row;
+    });
+}
+
+// the path of header texts (from the outermost header, to the innermost)
+// of each of the `n` columns (or rows)
+function header_paths(headers, n) {
+    const despanned = despan(headers);
+    return [...range(n)].map(i => despanned
+        .map(row => row[i])
+        .filter(header => header !== undefined)
+        .map(header => header.text));
+}
+
+// the index of the only one of the `n` columns (or rows) where the path of
+// headers has all of the keys in `key`
+function resolve_key(headers, n, key, what, funcname) {
+    const keys = Array.isArray(key) ? key : [key];
+    const despanned = despan(headers);
+    const matches = [...range(n)].filter(i => {
+        const path_keys = despanned.map(row => row[i]?.key).filter(k => k !== undefined);
+        return keys.every(k => path_keys.includes(k));
+    });
+
+    if (len(matches) === 0) {
+        throw new ValueError(`Table.${funcname}(): no ${what} has the key ${JSON.stringify(key)}`);
+    }
+    if (len(matches) > 1) {
+        throw new ValueError(`Table.${funcname}(): the key ${JSON.stringify(key)} is ambiguous, `
+            + `it identifies the ${what}s ${matches.join(", ")}`);
+    }
+    return matches[0];
+}
+
+// the row and column of `table` that `row_key` and `column_key` identify
+const resolve_keys = (table, row_key, column_key, funcname) => [
+    resolve_key(table.row_headers, table.data.height, row_key, "row", funcname),
+    resolve_key(table.column_headers, table.data.width, column_key, "column", funcname),
+];
+
+// the attributes of `entry`, as html attributes (with a leading space).
+// the names of `data` attributes can't be escaped, so they are checked
+function html_attributes(entry, funcname) {
+    const { class: classes, title, data = {} } = entry.attributes;
+    const attributes = [];
+    if (classes !== undefined) {
+        attributes.push(["class", Array.isArray(classes) ? classes.join(" ") : classes]);
+    }
+    if (title !== undefined) attributes.push(["title", title]);
+    for (const [name, value] of Object.entries(data)) {
+        if (!/^[a-z0-9_.-]+$/i.test(name)) {
+            throw new ValueError(`Table.${funcname}(): ${JSON.stringify(name)} can't be the name of a data attribute, `
+                + `it must only have letters, digits, "_", "." and "-"`);
+        }
+        attributes.push([`data-${name}`, str(value)]);
+    }
+    return attributes.map(([name, value]) => ` ${name}="${escape_html(String(value))}"`).join("");
+}
+
+// the header of the `i`th column (or row) at `level` (by default the innermost)
+function header_at(headers, i, level = len(headers) - 1, what) {
+    const header = despan(headers)[level]?.[i];
+    if (header === undefined) {
+        throw new OutOfBoundsError(`Table: there is no ${what} header at level ${level} of ${what} ${i}`);
+    }
+    return header;
+}
+
+// the numbers of the footnotes `ids`, in order, skipping unknown ids
+function footnote_marks(numbers, ids = []) {
+    return ids.filter(id => numbers.has(id)).map(id => numbers.get(id)).sort(numerically);
+}
+
+// the html footnote marker of a cell or header with `footnotes`, or "" if
+// none of them are numbered
+function html_footnote_marker(numbers, footnotes) {
+    const marks = footnote_marks(numbers, footnotes);
+    return len(marks) > 0 ? `<sup>${marks.join(",")}</sup>` : "";
+}
+
+// `n` written with superscript digits
+function superscript(n) {
+    return String(n).replace(/[0-9]/g, digit => "⁰¹²³⁴⁵⁶⁷⁸⁹"[digit]);
+}
+
+// the values of `entry`, as text, joined by `variant_separator`. an empty
+// entry has no values, and gives ""
+function entry_text(entry, variant_separator) {
+    return entry.values.map(str).join(variant_separator);
+}
+
+// like entry_text(), but html-escaped, where a line break in the separator
+// becomes a <br>
+function html_entry_text(entry, variant_separator) {
+    const separator = variant_separator === "\n" ? "<br>" : escape_html(variant_separator);
+    return entry.values.map(value => escape_html(str(value))).join(separator);
+}
+
+// compare the entries `a` and `b` for sorting, where empty entries are last,
+// numbers are compared numerically, and everything else as text
+function compare_entries(a, b, compare_text, sign) {
+    if (a.is_empty() || b.is_empty()) return a.is_empty() - b.is_empty();
+    if (typeof a.value === "number" && typeof b.value === "number") {
+        return sign * (a.value - b.value);
+    }
+    return sign * compare_text(entry_text(a, ", "), entry_text(b, ", "));
+}
@@ -31,6 +31,44 @@ export class ValueError extends Error {
  */
 export const numerically = (a, b) => a - b;
 
+// the locales to fall back to, for locales that the ICU data of the runtime
+// might not have a collation for
+const COLLATION_FALLBACKS = {
+    // South Sámi is written with the Norwegian (and Swedish) letters æ ø å
+    sma: ["nb"],
+    // Lule Sámi has á and ŋ like Northern Sámi, and å and ä last
+    smj: ["se"],
+};
+
+/**
+ * A locale-aware string comparison, for sorting. Sámi locales (such as
+ * "se", "sma", "smj") that the runtime doesn't have a collation for, fall back
+ * to a locale with the same order of the special letters, so that letters like
+ * á, č, đ, ŋ, š, ŧ and ž sort right, instead of the default order of
+ * javascript.
+ * @param {string} [locale] - a BCP 47 locale, such as "se". If not given,
+ *   the default locale of the runtime is used
+ * @param {string} [funcname="collator"] - like "Table.sort_rows", for the
+ *   error message
+ * @throws {ValueError} if `locale` is not a string, or not a valid locale
+ * @returns {function(string, string): number}
+ * @example
+ *   ["čáhci", "dálvi", "cuozza"].sort(collator("se"));
+ *   // [ "cuozza", "čáhci", "dálvi" ]
+ */
+export function collator(locale, funcname = "collator") {
+    if (locale === undefined) return new Intl.Collator().compare;
+    if (typeof locale !== "string") {
+        throw new ValueError(`${funcname}(): locale must be a string, not ${str(locale)}`);
+    }
+    try {
+        return new Intl.Collator([locale, ...(COLLATION_FALLBACKS[locale.split("-")[0]] ?? [])]).compare;
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        throw new ValueError(`${funcname}(): invalid locale ${JSON.stringify(locale)}`, { cause: error });
+    }
+}
+
 /**
  * Is `obj` a "pojo"? (plain old javascript object).
  * Object literals are pojos. Exotic types such as Map are not.
@@ -39,6 +77,23 @@ export const numerically = (a, b) => a - b;
  */
 export function is_pojo(obj) { return !!obj && obj.constructor === Object; }
 
+/**
+ * `json` parsed, if it is a string, for a `fromJSON()` that reads the JSON
+ * representation from the object, or from the string.
+ * @param {?} json
+ * @param {string} funcname - like "Table.fromJSON", for the error message
+ * @throws {ValueError} if `json` is a string that isn't valid JSON
+ * @returns {?}
+ */
+export function parse_json(json, funcname) {
+    if (typeof json !== "string") return json;
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new ValueError(`${funcname}(json): json is not valid JSON (${error.message})`);
+    }
+}
+
 /**
  * the length (or size) of an object that has a length or size
  * @param {?} obj
@@ -210,6 +265,82 @@ export function _typeof(obj) {
     return obj.constructor.name;
 }
 
+// the code points that take up two columns in a terminal (East Asian Wide
+// and Fullwidth), as [first, last] ranges. emoji are found with a regex
+const WIDE_RANGES = [
+    [0x1100, 0x115F],   // Hangul Jamo initials
+    [0x2E80, 0x303E],   // CJK radicals, punctuation
+    [0x3041, 0x33FF],   // Hiragana, Katakana, Bopomofo, CJK compatibility
+    [0x3400, 0x4DBF],   // CJK Extension A
+    [0x4E00, 0x9FFF],   // CJK Unified Ideographs
+    [0xA000, 0xA4CF],   // Yi
+    [0xA960, 0xA97F],   // Hangul Jamo Extended-A
+    [0xAC00, 0xD7A3],   // Hangul syllables
+    [0xF900, 0xFAFF],   // CJK compatibility ideographs
+    [0xFE10, 0xFE19],   // vertical forms
+    [0xFE30, 0xFE6F],   // CJK compatibility forms, small form variants
+    [0xFF00, 0xFF60],   // fullwidth forms
+    [0xFFE0, 0xFFE6],   // fullwidth signs
+    [0x20000, 0x2FFFD], // CJK Extension B and up
+    [0x30000, 0x3FFFD],
+];
+
+const is_wide_code_point = cp => WIDE_RANGES.some(([first, last]) => first <= cp && cp <= last);
+const is_zero_width = grapheme => /^[\p{Mn}\p{Me}\p{Cf}]+$/u.test(grapheme);
+const is_emoji = grapheme => /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F/u.test(grapheme);
+
+const segmenter = typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+/**
+ * Split `str` into its graphemes, the "characters" that a reader sees, so
+ * that a letter followed by combining diacritics (such as "a" + U+0301) is
+ * one grapheme, and so is an emoji.
+ * Without `Intl.Segmenter`, combining marks are joined to the code point
+ * before them.
+ * @param {string} str
+ * @returns {string[]}
+ * @example
+ *   graphemes("a\u0301b") // [ "a\u0301", "b" ]
+ */
+export function graphemes(str) {
+    if (segmenter !== null) return Array.from(segmenter.segment(str), ({ segment }) => segment);
+
+    const out = [];
+    for (const char of str) {
+        if (len(out) > 0 && is_zero_width(char)) out[len(out) - 1] += char;
+        else out.push(char);
+    }
+    return out;
+}
+
+/**
+ * The number of columns that `str` takes up when it's printed in a
+ * terminal. Unlike `len()`, combining diacritics take up no columns, and
+ * East Asian wide characters and emoji take up two.
+ * @param {string} str
+ * @returns {number}
+ * @example
+ *   text_width("a\u0301") === 1
+ *   text_width("表") === 2
+ */
+export function text_width(str) {
+    let width = 0;
+    for (const grapheme of graphemes(str)) {
+        if (is_zero_width(grapheme)) continue;
+        width += is_emoji(grapheme) || is_wide_code_point(grapheme.codePointAt(0)) ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * Pad `str` with spaces on both sides, so that it takes up `size` columns
+ * (as measured by [text_width()]{@link module:utils.text_width}). If the
+ * padding can't be split evenly, the extra space goes on the right.
+ * @param {number} size
+ * @returns {function(string): string}
+ */
 export function pad_center(size) {
     if (typeof size !== "number") {
         throw new TypeError(`pad_center(size): size must be a number, got ${_typeof(size)}`);
@@ -217,18 +348,61 @@ export function pad_center(size) {
 
     return function (str) {
         if (typeof str !== "string") throw new TypeError("curried pad_center(str): str must be a string");
-        const to_pad = size - len(str);
+        const to_pad = size - text_width(str);
         if (to_pad <= 0) return str;
 
-        let left, right;
-        left = right = to_pad / 2;
+        const left = Math.floor(to_pad / 2);
+        return " ".repeat(left) + str + " ".repeat(to_pad - left);
+    }
+}
+
+/**
+ * Shorten `str` to at most `size` columns (as measured by
+ * [text_width()]{@link module:utils.text_width}), ending it with "…" if
+ * anything was cut off. Graphemes are never cut in half, so a letter keeps
+ * its combining diacritics.
+ * @param {number} size - at least 1
+ * @returns {function(string): string}
+ * @example
+ *   truncate(5)("guolliid") === "guol…"
+ */
+export function truncate(size) {
+    return str => {
+        if (text_width(str) <= size) return str;
+        let out = "";
+        for (const grapheme of graphemes(str)) {
+            if (text_width(out + grapheme) > size - 1) break;
+            out += grapheme;
+        }
+        return out + "…";
+    };
+}
 
-        if (to_pad % 2 === 1) right += 1;
+/**
+ * Like `str.padEnd(size)`, but `size` is in columns, as measured by
+ * [text_width()]{@link module:utils.text_width}.
+ * @param {number} size
+ * @returns {function(string): string}
+ */
+export function pad_end(size) {
+    return str => str + " ".repeat(Math.max(0, size - text_width(str)));
+}
 
-        const result = " ".repeat(left) + str + " ".repeat(right);
-        console.assert(result.length === size, `${result.length} !== ${size}`);
-        return result;
-    }
+/**
+ * escape the characters in `str` that have special meaning in html, so the
+ * result can be used both as element content, and as an attribute value
+ * @param {string} str
+ * @returns {string}
+ * @example
+ *   escape_html("<b>") === "&lt;b&gt;"
+ */
+export function escape_html(str) {
+    return str
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll('"', "&quot;")
+        .replaceAll("'", "&#39;");
 }
 
 /**
@@ -1,2 +1,10 @@
 // testing utilities, NOT testing the "utils" here
-export const AUTOEND = { autoend: true };
+
+// options for t.test(), for a test that ends when its callback returns.
+// tap stores the callback of a test on the options object that it is given,
+// so every test must get an object of its own, or a queued test ends up
+// running the callback of the last test
+export const autoend = () => ({ autoend: true });
+
+// the headers as "text:span", level by level
+export const texts = headers => headers.map(level => level.map(({ text, span }) => `${text}:${span}`));
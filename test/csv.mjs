@@ -0,0 +1,25 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { parse_csv, format_csv } from "../src/csv.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("parse_csv()", autoend(), t => {
+    t.strictSame(parse_csv("a,b\r\nc,d"), [ ["a", "b"], ["c", "d"] ], "CRLF line endings");
+    t.strictSame(parse_csv("a,b\nc,d\n"), [ ["a", "b"], ["c", "d"] ], "LF line endings, and a final line break");
+    t.strictSame(parse_csv('"a,b","say ""hi""","x\ny"'), [ ["a,b", 'say "hi"', "x\ny"] ], "quoted fields");
+    t.strictSame(parse_csv("a,,\n,b"), [ ["a", "", ""], ["", "b"] ], "empty fields");
+    t.strictSame(parse_csv("a;b", { delimiter: ";" }), [ ["a", "b"] ], "other delimiter");
+    t.strictSame(parse_csv(""), [], "empty text has no records");
+    t.throws(() => parse_csv('"a,b'), ValueError, "unclosed quote throws ValueError");
+    t.throws(() => parse_csv("a", { delimiter: '"' }), ValueError, "quote as delimiter throws ValueError");
+});
+
+t.test("format_csv()", autoend(), t => {
+    t.strictSame(format_csv([ ["a", "b"], ["c", "d"] ]), "a,b\r\nc,d");
+    t.strictSame(format_csv([ ["a,b", 'say "hi"', "x\ny", 1] ]), '"a,b","say ""hi""","x\ny",1');
+    t.strictSame(format_csv([ ["a", "b"] ], { delimiter: "\t", line_ending: "\n" }), "a\tb");
+
+    const records = [ ["a,b", 'say "hi"'], ["", "x\r\ny"] ];
+    t.strictSame(parse_csv(format_csv(records)), records, "round trip");
+});
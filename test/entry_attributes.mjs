@@ -0,0 +1,108 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Entry } from "../src/entry.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("Entry attributes", autoend(), t => {
+    const entry = new Entry("guolli", { title: "guolli+N+Sg+Nom" });
+    t.strictSame(entry.attributes, { title: "guolli+N+Sg+Nom" });
+    t.ok(entry.has_attributes());
+    t.notOk(new Entry("x").has_attributes());
+
+    const empty = new Entry();
+    empty.attributes.class = "missing";
+    t.ok(empty.is_empty(), "attributes don't make an entry non-empty");
+
+    t.throws(() => { entry.attributes = null; }, TypeError);
+});
+
+t.test("Entry.clone() copies the attributes", autoend(), t => {
+    const entry = new Entry("a", { class: ["x"], data: { n: 1 } });
+    const clone = entry.clone();
+    clone.attributes.class.push("y");
+    clone.attributes.data.n = 2;
+    t.strictSame(entry.attributes, { class: ["x"], data: { n: 1 } });
+    t.strictSame(clone.value, "a");
+
+    const other = new Entry("b", { tags: ["x"], extra: { n: 1 } });
+    const other_clone = other.clone();
+    other_clone.attributes.tags.push("y");
+    other_clone.attributes.extra.n = 2;
+    t.strictSame(other.attributes, { tags: ["x"], extra: { n: 1 } }, "other arrays and objects are copied too");
+});
+
+t.test("attributes in a Matrix", autoend(), t => {
+    for (const sparse of [false, true]) {
+        const m = new Matrix(2, 3, { sparse });
+        m.set(0, 2, "a");
+        m.get(0, 2).attributes.class = "nonstandard";
+        m.get(1, 0).attributes.title = "no value";
+
+        m.set(0, 2, "b");
+        t.strictSame(m.peek(0, 2).attributes, { class: "nonstandard" }, "set() keeps the attributes");
+
+        const transposed = m.transpose();
+        t.strictSame(transposed.peek(2, 0).attributes, { class: "nonstandard" });
+        t.strictSame(transposed.peek(0, 1).attributes, { title: "no value" });
+
+        const sliced = m.slice([0, 1], [0, 2]);
+        t.strictSame(sliced.peek(0, 1).attributes, { class: "nonstandard" });
+        sliced.peek(0, 1).attributes.class = "changed";
+        t.strictSame(m.peek(0, 2).attributes, { class: "nonstandard" }, "a slice has copies of the attributes");
+
+        const { new_matrix } = m.without_empty_rows_and_columns();
+        t.strictSame(new_matrix.str(), "Matrix<1, 1>", "emptiness is decided by the value only");
+        t.strictSame(new_matrix.peek(0, 0).attributes, { class: "nonstandard" });
+    }
+});
+
+t.test("attributes survive JSON", autoend(), t => {
+    const m = new Matrix(1, 2);
+    m.set(0, 0, "a");
+    m.get(0, 0).attributes.data = { note: 1 };
+    const json = JSON.parse(JSON.stringify(m));
+    t.strictSame(json.cells, [ [ { value: "a", attributes: { data: { note: 1 } } }, { empty: true } ] ]);
+    t.strictSame(Matrix.fromJSON(json).peek(0, 0).attributes, { data: { note: 1 } });
+});
+
+t.test("the html renderers emit the attributes", autoend(), t => {
+    const table = Table.from_format(`
+                  | Sg{sg} | Pl
+        Nom{nom}  |
+        Gen{gen}  |
+    `);
+    table.set_by_key("nom", "sg", "guolli");
+    table.get_by_key("nom", "sg").attributes = {
+        class: ["form", "nonstandard"],
+        title: `guolli+N+Sg+Nom "x"`,
+        data: { note: 1 },
+        internal: "not rendered",
+    };
+    const attrs = ` class="form nonstandard" title="guolli+N+Sg+Nom &quot;x&quot;" data-note="1"`;
+
+    t.match(table.as_html(), `<th scope="row">Nom</th><td${attrs}>guolli</td><td></td>`);
+    t.match(table.as_grid_html({ screen_width: 1000 }), `<div${attrs} style="grid-row: 2 / span 1; grid-column: 2 / span 1;">guolli</div>`);
+    t.match(table.as_grid_html({ screen_width: 100 }), `<div>Sg</div>\n  <div${attrs}>guolli</div>`);
+
+    const pruned = table.without_empty_rows_and_columns();
+    t.strictSame(pruned.data.peek(0, 0).attributes.title, `guolli+N+Sg+Nom "x"`);
+});
+
+t.test("the names of data attributes are checked", autoend(), t => {
+    const table = Table.from_format(`
+          | A
+        --+---
+        1 | a
+    `);
+    table.data.get(0, 0).attributes = { data: { "note-1.x_y": 1 } };
+    t.match(table.as_html(), `<td data-note-1.x_y="1">a</td>`);
+
+    for (const name of ["", "a b", `x"><script>`, "a=b"]) {
+        table.data.get(0, 0).attributes = { data: { [name]: 1 } };
+        t.throws(() => table.as_html(), ValueError, `${JSON.stringify(name)} throws in as_html()`);
+        t.throws(() => table.as_grid_html({ screen_width: 1000 }), ValueError, "and in as_grid_html()");
+    }
+});
@@ -0,0 +1,86 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Entry } from "../src/entry.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("Entry.push() and values", autoend(), t => {
+    const entry = new Entry();
+    t.strictSame(entry.values, []);
+
+    entry.push("gáffe");
+    t.strictSame(entry.value, "gáffe", "pushing to an empty entry sets the value");
+    t.notOk(entry.has_variants());
+
+    entry.push("gáfe");
+    t.strictSame(entry.value, "gáffe", "the first value is still the value");
+    t.strictSame(entry.values, ["gáffe", "gáfe"]);
+    t.ok(entry.has_variants());
+    t.strictSame(String(entry), "gáffe, gáfe");
+
+    entry.and_modify(value => value.toUpperCase());
+    t.strictSame(entry.values, ["GÁFFE", "GÁFE"], "and_modify() modifies every variant");
+
+    const clone = entry.clone();
+    clone.push("x");
+    t.strictSame(entry.values, ["GÁFFE", "GÁFE"], "a clone has its own variants");
+
+    entry.value = "new";
+    t.strictSame(entry.values, ["new"], "setting the value removes the variants");
+    entry.push("other").clear();
+    t.ok(entry.is_empty());
+    t.strictSame(entry.values, []);
+});
+
+t.test("variants survive JSON", autoend(), t => {
+    const entry = new Entry("a").push("b");
+    t.strictSame(entry.toJSON(), { values: ["a", "b"] });
+    t.strictSame(Entry.fromJSON({ values: ["a", "b"] }).values, ["a", "b"]);
+    t.strictSame(new Entry("a").toJSON(), { value: "a" }, "a single value is still just the value");
+});
+
+t.test("Matrix set_mode", autoend(), t => {
+    for (const sparse of [false, true]) {
+        const m = new Matrix(1, 2, { sparse, set_mode: "accumulate" });
+        m.set(0, 0, "a");
+        m.set(0, 0, "b");
+        t.strictSame(m.peek(0, 0).values, ["a", "b"]);
+        t.strictSame(m.as_console_str({ variant_separator: " ~ " }), "a ~ b | -");
+
+        t.strictSame(m.slice([0], [0]).set_mode, "accumulate");
+
+        m.set_mode = "replace";
+        m.set(0, 0, "c");
+        t.strictSame(m.peek(0, 0).values, ["c"]);
+    }
+    t.strictSame(new Matrix(1, 1).set_mode, "replace");
+    t.throws(() => new Matrix(1, 1, { set_mode: "merge" }), ValueError);
+});
+
+t.test("renderers join the variants", autoend(), t => {
+    const records = [
+        { case: "Gen", number: "Pl", form: "guliid" },
+        { case: "Gen", number: "Pl", form: "guolliid" },
+        { case: "Gen", number: "Sg", form: "guole" },
+    ];
+    const table = Table.from_records(records, {
+        rows: ["case"],
+        columns: ["number"],
+        value: "form",
+        aggregate: "variants",
+    });
+    t.strictSame(table.get_by_key("Gen", "Pl").values, ["guliid", "guolliid"]);
+
+    t.match(table.as_html(), "<td>guliid, guolliid</td>", "joined with \", \" by default");
+    t.match(table.as_html({ variant_separator: "\n" }), "<td>guliid<br>guolliid</td>");
+    t.match(table.as_grid_html({ screen_width: 100, variant_separator: "\n" }), "<div>guliid<br>guolliid</div>");
+    t.match(table.as_markdown({ variant_separator: " ~ " }), "| guliid ~ guolliid |");
+    t.match(table.as_markdown({ variant_separator: "\n" }), "| guliid<br>guolliid |");
+    t.match(table.as_console_str({ variant_separator: " ~ " }), "guliid ~ guolliid");
+    t.match(table.to_csv({ variant_separator: " ~ " }), "Gen,guliid ~ guolliid,guole");
+
+    table.add_footnote("n", "note").attach_footnote("n", { row: 0, column: 0 });
+    t.match(table.as_markdown({ variant_separator: " ~ " }), "| guliid ~ guolliid[^1] |", "with a footnote");
+});
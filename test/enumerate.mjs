@@ -1,9 +1,9 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend } from "./_utils.mjs";
 
 import { enumerate } from "./../src/utils.mjs";
 
-t.test("...", AUTOEND, t => {
+t.test("...", autoend(), t => {
     const a = ["a", "b", "c", "d", "e", "f"];
 
     const expected = [
@@ -0,0 +1,87 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Entry } from "../src/entry.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("Entry", autoend(), t => {
+    t.strictSame(new Entry().toJSON(), { empty: true }, "empty entries have an explicit marker");
+    t.strictSame(new Entry(null).toJSON(), { value: null }, "null is a value");
+    t.strictSame(new Entry("a").toJSON(), { value: "a" }, "strings are not double encoded");
+    t.strictSame(JSON.stringify(new Entry([1, "b"])), '{"value":[1,"b"]}');
+
+    t.ok(Entry.fromJSON({ empty: true }).is_empty());
+    t.strictSame(Entry.fromJSON({ value: null }).value, null);
+    t.ok(Entry.fromJSON({ value: null }).is_not_empty());
+    t.throws(() => Entry.fromJSON("a"), ValueError);
+
+    t.strictSame(Entry.fromJSON('{"value":"a"}').value, "a", "reads the string of the representation");
+    t.ok(Entry.fromJSON(JSON.stringify(new Entry())).is_empty());
+    t.throws(() => Entry.fromJSON('"a"'), ValueError, "a string of something else than an object throws");
+});
+
+t.test("Matrix", autoend(), t => {
+    const m = new Matrix(2, 2);
+    m.set(0, 0, "a");
+    m.set(1, 1, null);
+
+    t.strictSame(m.toJSON(), {
+        height: 2,
+        width: 2,
+        cells: [
+            [ { value: "a" }, { empty: true } ],
+            [ { empty: true }, { value: null } ],
+        ],
+    });
+
+    const again = Matrix.fromJSON(JSON.stringify(m));
+    t.strictSame(again.str(), "Matrix<2, 2>");
+    t.ok(again.get(0, 1).is_empty(), "Empty stays empty");
+    t.ok(again.get(1, 1).is_not_empty(), "null stays a value");
+    t.strictSame(again.get(1, 1).value, null);
+    t.strictSame(again.as_array(), m.as_array());
+
+    t.strictSame(Matrix.fromJSON(new Matrix(0, 3).toJSON()).width, 3, "a matrix without rows keeps its width");
+
+    t.throws(() => Matrix.fromJSON({ height: 1, width: 2, cells: [ [ { value: 1 } ] ] }), ValueError);
+    t.throws(() => Matrix.fromJSON({ cells: [] }), ValueError);
+    t.throws(() => Matrix.fromJSON({ height: 0, width: -1, cells: [] }),
+        { name: "ValueError", message: /non-negative integer height and width/ });
+    t.throws(() => Matrix.fromJSON("{"), ValueError, "a string that isn't valid JSON throws");
+});
+
+t.test("Table", autoend(), t => {
+    const table = Table.from_format(`
+                 |     | Sg{sg} | Pl
+        Nominal  | Nom |
+                 | Gen |
+    `, { caption: "guolli" });
+    table.data.set(0, 0, "guolli");
+    table.data.set(1, 1, { form: "guliid", standard: false });
+
+    const json = JSON.parse(JSON.stringify(table));
+    t.strictSame(json.caption, "guolli");
+    t.strictSame(json.column_headers, [ [ { text: "Sg", span: 1, key: "sg" }, { text: "Pl", span: 1 } ] ]);
+    t.strictSame(json.data.cells[1], [ { empty: true }, { value: { form: "guliid", standard: false } } ]);
+
+    const again = Table.fromJSON(JSON.stringify(table));
+    t.strictSame(again.caption, table.caption);
+    t.strictSame(again.row_headers, table.row_headers);
+    t.strictSame(again.column_headers, table.column_headers);
+    t.strictSame(again.data.as_array(), table.data.as_array());
+    t.strictSame(again.data.get(1, 1).value, { form: "guliid", standard: false });
+
+    t.throws(() => Table.fromJSON({ row_headers: [ [ "a" ] ], column_headers: [], data: new Matrix(1, 1).toJSON() }), ValueError);
+    t.throws(() => Table.fromJSON("{"), ValueError);
+
+    const wider = { ...json, column_headers: [ [ { text: "Sg", span: 1 }, { text: "Pl", span: 2 } ] ] };
+    t.throws(() => Table.fromJSON(wider),
+        { name: "ValueError", message: "Table.fromJSON(json): the column headers of level 0 span 3 columns, but the data has 2" });
+    const shorter = { ...json, row_headers: [ [ { text: "Nominal", span: 1 } ], json.row_headers[1] ] };
+    t.throws(() => Table.fromJSON(shorter),
+        { name: "ValueError", message: "Table.fromJSON(json): the row headers of level 0 span 1 rows, but the data has 2" });
+    const zero = { ...json, row_headers: [ [ { text: "Nominal", span: 2 }, { text: "Verbal", span: 0 } ], json.row_headers[1] ] };
+    t.throws(() => Table.fromJSON(zero), { name: "ValueError", message: /a positive span/ });
+});
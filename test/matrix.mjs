@@ -1,22 +1,22 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend } from "./_utils.mjs";
 
 import { Matrix, OutOfBoundsError } from "../src/matrix.mjs";
 
-t.test("`m = new Matrix()` creates a 0 by 0 matrix", AUTOEND, t => {
+t.test("`m = new Matrix()` creates a 0 by 0 matrix", autoend(), t => {
     const m = new Matrix;
     t.strictSame(m.str(), "Matrix<0, 0>", "stringification: m.str() === \"Matrix<0, 0>\"");
     t.strictSame(m.as_array(), [], "data appears as array of length 0: m.as_array() === []");
     t.throws(() => m.set(0, 0, 42), OutOfBoundsError, "can't set value: m.set(0, 0, 42) throws OutOfBoundsError");
 });
 
-t.test("m = new Matrix(2, 3)", AUTOEND, t => {
+t.test("m = new Matrix(2, 3)", autoend(), t => {
     const m = new Matrix(2, 3);
     t.strictSame(2, m.height, "m.height === 2");
     t.strictSame(3, m.width, "m.width === 3");
     t.strictSame(m.str(), "Matrix<2, 3>", "stringifaction: m.str() === \"Matrix<2, 3>\"");
 
-    t.test("as_array()", AUTOEND, t => {
+    t.test("as_array()", autoend(), t => {
         const expected = [
             [ undefined, undefined, undefined ],
             [ undefined, undefined, undefined ],
@@ -26,7 +26,7 @@ t.test("m = new Matrix(2, 3)", AUTOEND, t => {
     });
 });
 
-t.test("transpose()", AUTOEND, t => {
+t.test("transpose()", autoend(), t => {
     const m = new Matrix(2, 3);
     const transposed = m.transpose();
     const expected = [
@@ -39,7 +39,7 @@ t.test("transpose()", AUTOEND, t => {
     t.strictSame(expected, transposed.as_array(), "Matrix<2, 3> transposed() is Matrix<3, 2>");
 });
 
-t.test("without_empty_rows_and_columns()", AUTOEND, t => {
+t.test("without_empty_rows_and_columns()", autoend(), t => {
     const m = new Matrix(4, 4);
     m.set(0, 0, "A");
     m.set(2, 2, "B");
@@ -55,8 +55,32 @@ t.test("without_empty_rows_and_columns()", AUTOEND, t => {
     t.strictSame(m_without.as_array(), expected, "stripped new matrix looks right");
 });
 
-t.test("slice()", AUTOEND, t => {
-    t.test("slice([], []) returns 0-by-0 matrix", AUTOEND, t => {
+t.test("without_empty_rows_and_columns() with options", autoend(), t => {
+    const m = Matrix.from_data([
+        [ "-", "A", "*" ],
+        [ "-", "-", "-" ],
+        [ "B", "-", "*" ],
+    ]);
+    const is_empty = value => value === "-" || value === "*";
+
+    const { new_matrix, new_rows, new_columns } = m.without_empty_rows_and_columns({ is_empty });
+    t.strictSame(new_matrix.as_array(), [ [ "-", "A" ], [ "B", "-" ] ], "placeholders count as empty");
+    t.strictSame(new_rows, { 0: 0, 2: 1 });
+    t.strictSame(new_columns, { 0: 0, 1: 1 });
+
+    const seen = [];
+    m.without_empty_rows_and_columns({ is_empty: (value, y, x) => { seen.push([y, x]); return false; } });
+    t.strictSame(seen.length, 9, "is_empty() is called for every field with a value");
+
+    t.strictSame(m.without_empty_rows_and_columns({ is_empty, columns: false }).new_matrix.width, 3, "only rows");
+    t.strictSame(m.without_empty_rows_and_columns({ is_empty, rows: false }).new_matrix.height, 3, "only columns");
+
+    const kept = m.without_empty_rows_and_columns({ is_empty, keep_rows: [1], keep_columns: [2] });
+    t.strictSame(kept.new_matrix.str(), "Matrix<3, 3>");
+});
+
+t.test("slice()", autoend(), t => {
+    t.test("slice([], []) returns 0-by-0 matrix", autoend(), t => {
         const m = Matrix.from_data([ ["a", "b"], ["c", "d"] ]);
         t.strictSame(1, 1);
     });
@@ -1,10 +1,10 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend } from "./_utils.mjs";
 
 import { ValueError } from "./../src/utils.mjs";
 import { Matrix } from "../src/matrix.mjs";
 
-t.test("rejects invalid-looking data", AUTOEND, t => {
+t.test("rejects invalid-looking data", autoend(), t => {
     t.throws(
         () => Matrix.from_data(null),
         TypeError,
@@ -18,17 +18,18 @@ t.test("rejects invalid-looking data", AUTOEND, t => {
     );
 });
 
-t.test("accepts [], and treats it as 0-by-0 matrix", AUTOEND, t => {
+t.test("accepts [], and treats it as 0-by-0 matrix", autoend(), t => {
     const m = Matrix.from_data([]);
+    t.strictSame(m.str(), "Matrix<0, 0>");
 });
 
-t.test("simple 2-by-2", AUTOEND, t => {
+t.test("simple 2-by-2", autoend(), t => {
     const m = Matrix.from_data([ ["a", "b"], ["c", "d"] ]);
     t.strictSame(2, m.height, "height is 2");
     t.strictSame(2, m.width, "width is 2");
 });
 
-t.test("simple 2x3", AUTOEND, t => {
+t.test("simple 2x3", autoend(), t => {
     const m = Matrix.from_data([ ["a", "b", "c"], ["d", "e", "f"] ]);
     t.strictSame(2, m.height, "height is 2");
     t.strictSame(3, m.width, "width is 3");
@@ -0,0 +1,57 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Matrix, OutOfBoundsError } from "../src/matrix.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+const make_matrix = () => Matrix.from_data([ ["a", "b"], ["c", "d"] ]);
+
+t.test("insert_row() and append_row()", autoend(), t => {
+    const m = make_matrix();
+    m.insert_row(1, ["x", "y"]);
+    t.strictSame(m.as_array(), [ ["a", "b"], ["x", "y"], ["c", "d"] ]);
+    t.strictSame(m.height, 3);
+
+    m.insert_row(0);
+    t.strictSame(m.as_array(), [ [undefined, undefined], ["a", "b"], ["x", "y"], ["c", "d"] ], "no values gives an empty row");
+    t.ok(m.get(0, 1).is_empty());
+
+    m.append_row(["e", "f"]);
+    t.strictSame(m.as_array().at(-1), ["e", "f"]);
+
+    t.throws(() => m.insert_row(7), OutOfBoundsError, "at must be at most the height");
+    t.throws(() => m.insert_row(0, ["too", "many", "values"]), ValueError);
+
+    const empty = new Matrix();
+    empty.append_row([1, 2, 3]);
+    t.strictSame(empty.str(), "Matrix<1, 3>", "a 0-by-0 matrix gets its width from the first row");
+});
+
+t.test("insert_column()", autoend(), t => {
+    const m = make_matrix();
+    m.insert_column(2, ["x", "y"]);
+    t.strictSame(m.as_array(), [ ["a", "b", "x"], ["c", "d", "y"] ]);
+    m.insert_column(0);
+    t.strictSame(m.as_array(), [ [undefined, "a", "b", "x"], [undefined, "c", "d", "y"] ]);
+    t.strictSame(m.width, 4);
+    t.throws(() => m.insert_column(-1), OutOfBoundsError);
+});
+
+t.test("remove_row() and remove_column()", autoend(), t => {
+    const m = make_matrix();
+    m.remove_row(0);
+    t.strictSame(m.as_array(), [ ["c", "d"] ]);
+    m.remove_column(1);
+    t.strictSame(m.as_array(), [ ["c"] ]);
+    t.strictSame(m.str(), "Matrix<1, 1>");
+    t.throws(() => m.remove_row(1), OutOfBoundsError);
+});
+
+t.test("resize()", autoend(), t => {
+    const m = make_matrix();
+    m.resize(3, 1);
+    t.strictSame(m.as_array(), [ ["a"], ["c"], [undefined] ]);
+    m.resize(1, 3);
+    t.strictSame(m.as_array(), [ ["a", undefined, undefined] ]);
+    t.throws(() => m.resize(-1, 2), ValueError);
+});
@@ -1,9 +1,9 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend } from "./_utils.mjs";
 
 import { Matrix, OutOfBoundsError } from "../src/matrix.mjs";
 
-t.test("slice([], []) creates 0-by-0 matrix", AUTOEND, t => {
+t.test("slice([], []) creates 0-by-0 matrix", autoend(), t => {
     const m = Matrix.from_data([ ["a", "b"], ["c", "d"] ]);
 
     const sliced = m.slice([], []);
@@ -11,7 +11,7 @@ t.test("slice([], []) creates 0-by-0 matrix", AUTOEND, t => {
     t.strictSame(0, sliced.height);
 });
 
-t.test("slice just 1 column, all rows", AUTOEND, t => {
+t.test("slice just 1 column, all rows", autoend(), t => {
     const m = Matrix.from_data([ ["a", "b"], ["c", "d"] ]);
     const sliced = m.slice([0, 1], [0]);
 
@@ -21,7 +21,7 @@ t.test("slice just 1 column, all rows", AUTOEND, t => {
     t.strictSame(expected, sliced.as_array());
 });
 
-t.test("slice just 1 row, all columns", AUTOEND, t => {
+t.test("slice just 1 row, all columns", autoend(), t => {
     const m = Matrix.from_data([ ["a", "b"], ["c", "d"] ]);
     const sliced = m.slice([0], [0, 1]);
 
@@ -0,0 +1,134 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Matrix } from "../src/matrix.mjs";
+import { Table } from "../src/table.mjs";
+import { Empty, ValueError } from "../src/utils.mjs";
+
+const make_sparse = () => {
+    const m = new Matrix(1000, 1000, { sparse: true });
+    m.set(10, 500, "a");
+    m.set(999, 0, "b");
+    m.set(3, 7, "c");
+    return m;
+};
+
+t.test("get(), set() and peek()", autoend(), t => {
+    const m = make_sparse();
+    t.ok(m.is_sparse);
+    t.notOk(new Matrix(1, 1).is_sparse);
+    t.strictSame(m.get(10, 500).value, "a");
+    t.ok(m.peek(0, 0).is_empty());
+
+    m.peek(0, 0).value = "lost";
+    t.ok(m.peek(0, 0).is_empty(), "changes to a peeked empty field are not stored");
+
+    m.get(0, 0).value = "kept";
+    t.strictSame(m.peek(0, 0).value, "kept", "changes to a gotten field are stored");
+
+    m.set(0, 0, Empty);
+    t.ok(m.get(0, 0).is_empty());
+    t.throws(() => m.get(1000, 0));
+});
+
+t.test("entries() yields the stored values row by row", autoend(), t => {
+    const m = make_sparse();
+    m.get(5, 5); // stored, but empty
+    t.strictSame([...m.entries()], [
+        [[3, 7], "c"],
+        [[10, 500], "a"],
+        [[999, 0], "b"],
+    ]);
+    t.ok(m.is_not_empty());
+    t.ok(new Matrix(100, 100, { sparse: true }).is_empty());
+});
+
+t.test("slice(), transpose() and without_empty_rows_and_columns()", autoend(), t => {
+    const m = make_sparse();
+
+    const sliced = m.slice([3, 10, 11], [7, 500]);
+    t.ok(sliced.is_sparse);
+    t.strictSame(sliced.as_array(), [ ["c", undefined], [undefined, "a"], [undefined, undefined] ]);
+
+    const transposed = m.transpose();
+    t.ok(transposed.is_sparse);
+    t.strictSame(transposed.peek(500, 10).value, "a");
+
+    const { new_matrix, new_rows, new_columns } = m.without_empty_rows_and_columns();
+    t.strictSame(new_matrix.as_array(), [
+        [undefined, "c", undefined],
+        [undefined, undefined, "a"],
+        ["b", undefined, undefined],
+    ]);
+    t.strictSame(new_rows, { 3: 0, 10: 1, 999: 2 });
+    t.strictSame(new_columns, { 0: 0, 7: 1, 500: 2 });
+});
+
+t.test("from_data() and changing the shape", autoend(), t => {
+    const m = Matrix.from_data([ ["a", ""], ["", "d"] ], { empty_value: "", sparse: true });
+    t.ok(m.is_sparse);
+    t.strictSame([...m.entries()], [ [[0, 0], "a"], [[1, 1], "d"] ]);
+
+    m.insert_row(1, ["x", "y"]);
+    m.insert_column(0);
+    t.strictSame(m.as_array(), [ [undefined, "a", undefined], [undefined, "x", "y"], [undefined, undefined, "d"] ]);
+
+    m.remove_row(0);
+    m.remove_column(1);
+    t.strictSame(m.as_array(), [ [undefined, "y"], [undefined, "d"] ]);
+
+    m.resize(1, 1);
+    t.ok(m.is_empty());
+    t.strictSame(m.str(), "Matrix<1, 1>");
+});
+
+t.test("a sparse matrix is the same as a dense one", autoend(), t => {
+    const values = [ ["a", "b", "c"], ["d", "e", "f"] ];
+    const dense = Matrix.from_data(values);
+    const sparse = Matrix.from_data(values, { sparse: true });
+    t.strictSame(sparse.as_console_str(), dense.as_console_str());
+    t.strictSame(Matrix.fromJSON(JSON.stringify(sparse)).as_array(), dense.as_array());
+});
+
+t.test("toJSON() and fromJSON() keep a sparse matrix sparse", autoend(), t => {
+    const m = make_sparse();
+    m.get(5, 5); // stored, but empty
+    m.get(6, 6).attributes = { class: "x" };
+
+    t.strictSame(m.toJSON(), {
+        height: 1000,
+        width: 1000,
+        sparse: true,
+        cells: [
+            [ 3, 7, { value: "c" } ],
+            [ 6, 6, { empty: true, attributes: { class: "x" } } ],
+            [ 10, 500, { value: "a" } ],
+            [ 999, 0, { value: "b" } ],
+        ],
+    }, "only the fields that are stored, and not just empty");
+
+    const again = Matrix.fromJSON(JSON.stringify(m));
+    t.ok(again.is_sparse);
+    t.strictSame([...again.entries()], [...m.entries()].filter(([[y]]) => y !== 5));
+    t.strictSame(again.peek(6, 6).attributes, { class: "x" });
+    t.notOk(Matrix.fromJSON(new Matrix(1, 1).toJSON()).is_sparse, "and a dense one dense");
+
+    t.throws(() => Matrix.fromJSON({ height: 2, width: 2, sparse: true, cells: [ [ 2, 0, { value: 1 } ] ] }), ValueError,
+        "a field outside the matrix throws");
+    t.throws(() => Matrix.fromJSON({ height: -1, width: 2, sparse: true, cells: [] }),
+        { name: "ValueError", message: /non-negative integer height and width/ });
+});
+
+t.test("Table.from_records(..., { sparse: true })", autoend(), t => {
+    const records = [
+        { number: "Sg", case: "Nom", form: "guolli" },
+        { number: "Pl", case: "Ill", form: "guliide" },
+    ];
+    const opts = { rows: ["case"], columns: ["number"], value: "form" };
+    const sparse = Table.from_records(records, { ...opts, sparse: true });
+    const dense = Table.from_records(records, opts);
+    t.ok(sparse.data.is_sparse);
+    t.strictSame(sparse.as_html(), dense.as_html());
+    t.strictSame(sparse.to_csv(), dense.to_csv());
+    t.strictSame([...sparse.data.entries()], [ [[0, 0], "guolli"], [[1, 1], "guliide"] ]);
+});
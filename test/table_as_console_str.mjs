@@ -0,0 +1,289 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { render_grid, compute_layout, use_color, strip_ansi } from "../src/console.mjs";
+import { ValueError, len } from "../src/utils.mjs";
+
+t.test("as_console_str()", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    t.strictSame(table.as_console_str({ show_caption: false }), [
+        "+---------------+---------------+--------+",
+        "|               |   Singular    | Plural |",
+        "|               +---------+-----+--------+",
+        "|               |   Nom   | Gen |  Nom   |",
+        "+---------+-----+---------+-----+--------+",
+        "| Verbal  | Inf | guollit | -   | -      |",
+        "| Nominal | Nom | -       | -   | guolit |",
+        "|         | Gen | guole   | -   | -      |",
+        "+---------+-----+---------+-----+--------+",
+    ].join("\n"));
+});
+
+t.test("border styles", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    t.strictSame(table.as_console_str({ show_caption: false, border: "single" }).split("\n").slice(0, 5), [
+        "┌───────────────┬───────────────┬────────┐",
+        "│               │   Singular    │ Plural │",
+        "│               ├─────────┬─────┼────────┤",
+        "│               │   Nom   │ Gen │  Nom   │",
+        "├─────────┬─────┼─────────┼─────┼────────┤",
+    ]);
+    t.match(table.as_console_str({ border: "double" }), "╚═════════╩═════╩═════════╩═════╩════════╝");
+    t.match(table.as_console_str({ border: "rounded" }), "╭───────────────┬───────────────┬────────╮");
+    t.strictSame(table.as_console_str({ show_caption: false, border: "compact" }), [
+        "                Singular    Plural",
+        "                Nom    Gen   Nom",
+        "Verbal   Inf  guollit  -    -",
+        "Nominal  Nom  -        -    guolit",
+        "         Gen  guole    -    -",
+    ].join("\n"));
+    t.throws(() => table.as_console_str({ border: "dotted" }), ValueError);
+});
+
+t.test("alignment", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    const lines = table.as_console_str({
+        show_caption: false,
+        align: ["left", "right", "center"],
+        header_align: ["left", "right"],
+    }).split("\n");
+    t.strictSame(lines[1], "|               | Singular      | Plural |");
+    t.strictSame(lines[3], "|               |     Nom | Gen |    Nom |");
+    t.strictSame(lines[5], "| Verbal  | Inf | guollit |   - |   -    |");
+
+    t.match(table.as_console_str({ align: "right" }), "|   guole |   - |      - |");
+    t.throws(() => table.as_console_str({ align: "middle" }), ValueError);
+    t.throws(() => table.as_console_str({ align: ["left"] }), ValueError, "one for every column");
+});
+
+t.test("spanned headers wider than their columns", autoend(), t => {
+    const table = Table.from_format(`
+            | Nominative singular
+            | Sg  | Pl
+        Nom |
+    `);
+    const lines = table.as_console_str({ show_caption: false }).split("\n");
+    t.strictSame(lines[1], "|     | Nominative singular |");
+    t.strictSame(lines[3], "|     |    Sg    |    Pl    |", "the columns are widened evenly");
+    t.strictSame(lines[5], "| Nom | -        | -        |");
+});
+
+t.test("caption", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    const top = table.as_console_str().split("\n");
+    t.strictSame(top[0].trim(), "guolli");
+    t.strictSame(top[1], "");
+    const bottom = table.as_console_str({ caption_placement: "bottom" }).split("\n");
+    t.strictSame(bottom.at(-1).trim(), "guolli");
+
+    table.caption = null;
+    t.strictSame(table.as_console_str(), table.as_console_str({ show_caption: false }), "a table without a caption has none");
+});
+
+t.test("tables without headers", autoend(), t => {
+    const no_row_headers = Table.from_format(`
+        | A | B
+        | a | b
+    `);
+    t.strictSame(no_row_headers.as_console_str({ show_caption: false }).split("\n")[1], "| A | B |");
+
+    const data = new Matrix(3, 3);
+    data.set(0, 0, "guollit");
+    data.set(1, 2, "guolit");
+    const no_column_headers = new Table(null, data, ["x", "y", "z"], []);
+    t.strictSame(no_column_headers.as_console_str({ show_caption: false }).split("\n")[1],
+        "| x | guollit | - | -      |");
+});
+
+t.test("render_grid()", autoend(), t => {
+    t.strictSame(render_grid([
+        [ { text: "Singular", span: 2, align: "center" } ],
+        [ { text: "Nom" }, { text: "Gen" } ],
+        [ { text: "guolli" }, { text: "guole" } ],
+    ], { head: 2, border: "single" }), [
+        "┌────────────────┐",
+        "│    Singular    │",
+        "├────────┬───────┤",
+        "│ Nom    │ Gen   │",
+        "├────────┼───────┤",
+        "│ guolli │ guole │",
+        "└────────┴───────┘",
+    ]);
+    t.strictSame(render_grid([]), []);
+    t.throws(() => render_grid([[ { text: "a", align: "up" } ]]), ValueError);
+});
+
+t.test("max_width, with overflow: \"wrap\"", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+---------------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    const lines = table.as_console_str({ show_caption: false, max_width: 42 }).split("\n");
+    t.ok(lines.every(line => line.length <= 42), "every line fits");
+    t.strictSame(lines[6], "| Nominal | Nom | -       | -   | guolit |");
+    t.strictSame(lines[7], "|         |     |         |     | guolit |", "the text is wrapped between words");
+
+    const narrow = table.as_console_str({ show_caption: false, max_width: 30 }).split("\n");
+    t.ok(narrow.every(line => line.length <= 30));
+    t.match(narrow.join("\n"), "| Ve | Inf |", "words are broken up when they have to be");
+    t.throws(() => table.as_console_str({ max_width: 0 }), ValueError);
+    t.throws(() => table.as_console_str({ max_width: 40, overflow: "scroll" }), ValueError);
+});
+
+t.test("max_width, with overflow: \"chunk\"", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    const text = table.as_console_str({ show_caption: false, max_width: 34, overflow: "chunk" });
+    const chunks = text.split("\n\n");
+    t.strictSame(len(chunks), 2);
+    t.ok(text.split("\n").every(line => line.length <= 34));
+    t.strictSame(chunks[0].split("\n")[1], "|               |   Singular    |");
+    t.strictSame(chunks[1].split("\n")[1], "|               | Plural |");
+    t.ok(chunks.every(chunk => chunk.includes("| Nominal | Nom |")), "every chunk has the row headers");
+
+    const aligned = table.as_console_str({ max_width: 34, overflow: "chunk", align: ["left", "left", "right"] });
+    t.match(aligned, "| Nominal | Nom | guolit |");
+    t.match(aligned.split("\n")[0].trim(), "guolli", "the caption is shown once");
+});
+
+t.test("color", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `, { caption: "guolli" });
+    table.data.get(2, 0).attributes.style = "nonstandard";
+    const text = table.as_console_str({ show_caption: false, color: true, styles: { nonstandard: "yellow italic" } });
+    t.match(text, "\x1b[1mSingular\x1b[0m", "headers are bold");
+    t.match(text, "| \x1b[1mVerbal\x1b[0m  |", "row headers too, and the padding isn't styled");
+    t.match(text, "\x1b[2m-\x1b[0m", "empty cells are dim");
+    t.match(text, "\x1b[33;3mguole\x1b[0m", "a style attribute is looked up in styles");
+    t.strictSame(strip_ansi(text), table.as_console_str({ show_caption: false }), "the layout is the same");
+
+    t.notMatch(table.as_console_str(), "\x1b[", "no colors by default");
+    t.match(table.as_console_str({ color: true, styles: { header: "underline", nonstandard: "red" } }), "\x1b[4mSingular");
+
+    table.data.get(2, 0).attributes.style = "sparkly italic";
+    t.match(table.as_console_str({ color: true }), "\x1b[3mguole\x1b[0m", "unknown names of a style attribute are ignored");
+    t.match(table.as_console_str(), "| guole   |", "without color too");
+
+    for (const color of [true, false]) {
+        t.throws(() => table.as_console_str({ color, styles: { nonstandard: "sparkly" } }),
+            { name: "ValueError", message: /styles\.nonstandard: unknown style "sparkly"/ },
+            `unknown names in styles throw, with color: ${color}`);
+    }
+});
+
+t.test("use_color()", autoend(), t => {
+    t.strictSame(use_color(true), true);
+    t.strictSame(use_color(false), false);
+    const is_tty = process.stdout.isTTY;
+    const no_color = process.env.NO_COLOR;
+    try {
+        process.stdout.isTTY = false;
+        t.strictSame(use_color("auto"), false, "not a terminal");
+        process.stdout.isTTY = true;
+        delete process.env.NO_COLOR;
+        t.strictSame(use_color("auto"), true);
+        process.env.NO_COLOR = "1";
+        t.strictSame(use_color("auto"), false, "NO_COLOR");
+    } finally {
+        process.stdout.isTTY = is_tty;
+        if (no_color === undefined) delete process.env.NO_COLOR;
+        else process.env.NO_COLOR = no_color;
+    }
+});
+
+t.test("render_grid() with line breaks", autoend(), t => {
+    t.strictSame(render_grid([ [ { text: "guliid\nguolliid" }, { text: "x" } ] ]), [
+        "+----------+---+",
+        "| guliid   | x |",
+        "| guolliid |   |",
+        "+----------+---+",
+    ]);
+    t.strictSame(render_grid([ [ { text: "表格表格" } ] ], { max_width: 5 }), [
+        "+----+",
+        "| 表 |",
+        "| 格 |",
+        "| 表 |",
+        "| 格 |",
+        "+----+",
+    ], "wide characters are not split");
+});
+
+t.test("compute_layout()", autoend(), t => {
+    const { widths, rows } = compute_layout([
+        [ { text: "Singular", span: 2 } ],
+        [ { text: "a" }, { text: "guolli" } ],
+    ], { max_cell_width: 6 });
+    t.strictSame(widths, [1, 6], "every column is as wide as its widest cell");
+    t.strictSame(rows[0][0], { text: "Singu…", span: 2, start: 0, width: 10 });
+    t.strictSame(rows[1][1], { text: "guolli", span: 1, start: 1, width: 6 });
+
+    t.strictSame(compute_layout([ [ { text: "a" }, { text: "b" } ] ], { min_cell_width: 3 }).widths, [3, 3]);
+    t.throws(() => compute_layout([], { min_cell_width: -1 }), ValueError);
+    t.throws(() => compute_layout([], { max_cell_width: 0 }), ValueError);
+});
+
+t.test("min_cell_width and max_cell_width", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Singular         | Plural
+                 |      | Nom     | Gen    | Nom
+        ---------+------+---------+--------+--------
+        Verbal   | Inf  | guollit |        |
+        Nominal  | Nom  |         |        | guolit
+                 | Gen  | guole   |        |
+    `);
+    const lines = table.as_console_str({ min_cell_width: 4, max_cell_width: 5 }).split("\n");
+    t.strictSame(lines[1], "|              |    Sing…     | Plur… |", "headers are truncated too");
+    t.strictSame(lines[3], "|              |  Nom  | Gen  |  Nom  |");
+    t.strictSame(lines[5], "| Verb… | Inf  | guol… | -    | -     |");
+    t.throws(() => table.as_console_str({ max_cell_width: 1.5 }), ValueError);
+
+    const m = Matrix.from_data([ ["guolli", "x"], ["guolliid", "y"] ]);
+    t.strictSame(m.as_console_str(), " guolli  | x\nguolliid | y", "every column has its own width");
+    t.strictSame(m.as_console_str({ min_cell_width: 3, max_cell_width: 5 }), "guol… |  x \nguol… |  y ");
+});
@@ -0,0 +1,115 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("Table.as_grid_html()", autoend(), t => {
+    t.test("wide layout places every header and cell", autoend(), t => {
+        const table = Table.from_format(`
+              |      A      | B
+              | a1   | a2   | b
+            --+------+------+-----
+            1 | 1-a1 |      |
+            2 |      |      | 2-b
+        `);
+        const html = table.as_grid_html({ screen_width: 1024 });
+        const expected = [
+            `<div style="display: grid; grid-template-columns: repeat(4, 1fr);">`,
+            `  <div style="grid-row: 1 / span 2; grid-column: 1 / span 1;"></div>`,
+            `  <div style="grid-row: 1 / span 1; grid-column: 2 / span 2;">A</div>`,
+            `  <div style="grid-row: 1 / span 1; grid-column: 4 / span 1;">B</div>`,
+            `  <div style="grid-row: 2 / span 1; grid-column: 2 / span 1;">a1</div>`,
+            `  <div style="grid-row: 2 / span 1; grid-column: 3 / span 1;">a2</div>`,
+            `  <div style="grid-row: 2 / span 1; grid-column: 4 / span 1;">b</div>`,
+            `  <div style="grid-row: 3 / span 1; grid-column: 1 / span 1;">1</div>`,
+            `  <div style="grid-row: 3 / span 1; grid-column: 2 / span 1;">1-a1</div>`,
+            `  <div style="grid-row: 3 / span 1; grid-column: 3 / span 1;"></div>`,
+            `  <div style="grid-row: 3 / span 1; grid-column: 4 / span 1;"></div>`,
+            `  <div style="grid-row: 4 / span 1; grid-column: 1 / span 1;">2</div>`,
+            `  <div style="grid-row: 4 / span 1; grid-column: 2 / span 1;"></div>`,
+            `  <div style="grid-row: 4 / span 1; grid-column: 3 / span 1;"></div>`,
+            `  <div style="grid-row: 4 / span 1; grid-column: 4 / span 1;">2-b</div>`,
+            `</div>`,
+        ].join("\n");
+        t.strictSame(html, expected);
+    });
+
+    t.test("narrow layout stacks every row as a card", autoend(), t => {
+        const table = Table.from_format(`
+              |      A      | B
+              | a1   | a2   | b
+            --+------+------+-----
+            1 | 1-a1 |      |
+            2 |      |      | 2-b
+        `);
+        const html = table.as_grid_html({ screen_width: 400, empty_indicator: "-" });
+        const expected = [
+            `<div style="display: grid; grid-template-columns: repeat(2, 1fr);">`,
+            `  <div style="grid-column: 1 / -1;">1</div>`,
+            `  <div>A / a1</div>`,
+            `  <div>1-a1</div>`,
+            `  <div>A / a2</div>`,
+            `  <div>-</div>`,
+            `  <div>B / b</div>`,
+            `  <div>-</div>`,
+            `  <div style="grid-column: 1 / -1;">2</div>`,
+            `  <div>A / a1</div>`,
+            `  <div>-</div>`,
+            `  <div>A / a2</div>`,
+            `  <div>-</div>`,
+            `  <div>B / b</div>`,
+            `  <div>2-b</div>`,
+            `</div>`,
+        ].join("\n");
+        t.strictSame(html, expected);
+    });
+
+    t.test("a blank column header shows the empty indicator", autoend(), t => {
+        const table = Table.from_format(`
+              | A   |
+              | (-) | b
+            --+-----+---
+            1 | x   | y
+        `);
+        const html = table.as_grid_html({ screen_width: 1024, empty_indicator: "–" });
+        t.match(html, `<div style="grid-row: 1 / span 1; grid-column: 3 / span 1;">–</div>`);
+        t.match(html, `<div style="grid-row: 2 / span 1; grid-column: 2 / span 1;">(-)</div>`, "and any other text itself");
+        t.match(table.as_grid_html({ screen_width: 1024 }), `<div style="grid-row: 1 / span 1; grid-column: 3 / span 1;"></div>`,
+            "which is blank by default");
+    });
+
+    t.test("breakpoint and narrow_columns are configurable", autoend(), t => {
+        const table = Table.from_format(`
+              |      A      | B
+              | a1   | a2   | b
+            --+------+------+-----
+            1 | 1-a1 |      |
+            2 |      |      | 2-b
+        `);
+        const narrow = table.as_grid_html({ screen_width: 1024, breakpoint: 1200, narrow_columns: 4 });
+        t.match(narrow, "repeat(4, 1fr)", "4 grid columns below the custom breakpoint");
+        t.match(narrow, "<div>A / a1</div>", "uses the stacked layout");
+
+        const wide = table.as_grid_html({ screen_width: 600, breakpoint: 500 });
+        t.notMatch(wide, "<div>A / a1</div>", "uses the wide layout above the custom breakpoint");
+
+        const stacked = table.as_grid_html({ screen_width: 400, narrow_columns: 1 });
+        t.match(stacked, "repeat(1, 1fr)", "every header above its value");
+        for (const narrow_columns of [0, 3, 2.5, "2"]) {
+            t.throws(() => table.as_grid_html({ screen_width: 400, narrow_columns }), ValueError,
+                "a header and its value must end up on the same line");
+        }
+    });
+
+    t.test("screen_width is required", autoend(), t => {
+        const table = Table.from_format(`
+              |      A      | B
+              | a1   | a2   | b
+            --+------+------+-----
+            1 | 1-a1 |      |
+            2 |      |      | 2-b
+        `);
+        t.throws(() => table.as_grid_html(), { name: "TypeError", message: /screen_width must be a number/ });
+    });
+});
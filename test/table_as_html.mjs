@@ -0,0 +1,76 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+
+t.test("Table.as_html()", autoend(), t => {
+    const table = Table.from_format(`
+          |    A    | B
+          | a1 | a2 | b
+        1 |
+        2 |
+    `, { caption: "Numbers & letters" });
+    table.data.set(0, 0, "1-a1");
+    table.data.set(1, 2, "<2-b>");
+
+    t.test("full table", autoend(), t => {
+        const expected = [
+            "<table>",
+            "  <caption>Numbers &amp; letters</caption>",
+            "  <thead>",
+            `    <tr><td rowspan="2"></td><th scope="colgroup" colspan="2">A</th><th scope="col">B</th></tr>`,
+            `    <tr><th scope="col">a1</th><th scope="col">a2</th><th scope="col">b</th></tr>`,
+            "  </thead>",
+            "  <tbody>",
+            `    <tr><th scope="row">1</th><td>1-a1</td><td></td><td></td></tr>`,
+            `    <tr><th scope="row">2</th><td></td><td></td><td>&lt;2-b&gt;</td></tr>`,
+            "  </tbody>",
+            "</table>",
+        ].join("\n");
+        t.strictSame(table.as_html(), expected);
+    });
+
+    t.test("empty_indicator and show_caption", autoend(), t => {
+        const html = table.as_html({ empty_indicator: "-", show_caption: false });
+        t.notMatch(html, "<caption>", "no caption");
+        t.match(html, `<th scope="row">1</th><td>1-a1</td><td>-</td><td>-</td>`, "empty cells use the indicator");
+    });
+
+    t.test("no row headers", autoend(), t => {
+        const table = Table.from_format(`a | b | c`);
+        table.data.set(0, 1, "x");
+        const expected = [
+            "<table>",
+            "  <thead>",
+            `    <tr><th scope="col">a</th><th scope="col">b</th><th scope="col">c</th></tr>`,
+            "  </thead>",
+            "  <tbody>",
+            "    <tr><td></td><td>x</td><td></td></tr>",
+            "  </tbody>",
+            "</table>",
+        ].join("\n");
+        t.strictSame(table.as_html(), expected);
+    });
+
+    t.test("2 columns of row headers", autoend(), t => {
+        const table = Table.from_format(`
+                     |     | Sg | Pl
+            Nominal  | Nom |
+                     | Gen |
+            Verbal   | Inf |
+        `);
+        const expected = [
+            "<table>",
+            "  <thead>",
+            `    <tr><td colspan="2"></td><th scope="col">Sg</th><th scope="col">Pl</th></tr>`,
+            "  </thead>",
+            "  <tbody>",
+            `    <tr><th scope="rowgroup" rowspan="2">Nominal</th><th scope="row">Nom</th><td></td><td></td></tr>`,
+            `    <tr><th scope="row">Gen</th><td></td><td></td></tr>`,
+            `    <tr><th scope="row">Verbal</th><th scope="row">Inf</th><td></td><td></td></tr>`,
+            "  </tbody>",
+            "</table>",
+        ].join("\n");
+        t.strictSame(table.as_html(), expected);
+    });
+});
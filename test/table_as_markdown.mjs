@@ -0,0 +1,100 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("Table.as_markdown()", autoend(), t => {
+    t.test("column headers are flattened into paths by default", autoend(), t => {
+        const expected = [
+            "**guolli**",
+            "",
+            "|     | Singular / Nom | Singular / Gen | Plural / Nom |",
+            "| --- | -------------- | -------------- | ------------ |",
+            "| Ess | guollin        |                |              |",
+            "| Com |                | a\\|b           |              |",
+        ].join("\n");
+        const table = Table.from_format(`
+                 | Singular         | Plural
+                 | Nom     | Gen    | Nom
+            -----+---------+--------+--------
+            Ess  | guollin |        |
+            Com  |         | a\\|b   |
+        `, { caption: "guolli" });
+        t.strictSame(table.as_markdown(), expected);
+    });
+
+    t.test("header_style: repeat", autoend(), t => {
+        const expected = [
+            "|     | Singular | Singular | Plural |",
+            "| --- | -------- | -------- | ------ |",
+            "|     | Nom      | Gen      | Nom    |",
+            "| Ess | guollin  | -        | -      |",
+            "| Com | -        | a\\|b     | -      |",
+        ].join("\n");
+        const table = Table.from_format(`
+                 | Singular         | Plural
+                 | Nom     | Gen    | Nom
+            -----+---------+--------+--------
+            Ess  | guollin |        |
+            Com  |         | a\\|b   |
+        `, { caption: "guolli" });
+        const markdown = table.as_markdown({
+            header_style: "repeat",
+            empty_indicator: "-",
+            show_caption: false,
+        });
+        t.strictSame(markdown, expected);
+    });
+
+    t.test("multiple columns of row headers", autoend(), t => {
+        const table = Table.from_format(`
+                     |     | Sg
+            Nominal  | Nom |
+                     | Gen |
+        `);
+        const expected = [
+            "|               | Sg  |",
+            "| ------------- | --- |",
+            "| Nominal / Nom |     |",
+            "| Nominal / Gen |     |",
+        ].join("\n");
+        t.strictSame(table.as_markdown(), expected);
+
+        const repeated = [
+            "|         |     | Sg  |",
+            "| ------- | --- | --- |",
+            "| Nominal | Nom |     |",
+            "| Nominal | Gen |     |",
+        ].join("\n");
+        t.strictSame(table.as_markdown({ header_style: "repeat" }), repeated);
+    });
+
+    t.test("a table without columns gets one blank column", autoend(), t => {
+        t.strictSame(new Table(null, new Matrix(0, 0), [], []).as_markdown(), "|     |\n| --- |");
+        t.strictSame(new Table(null, new Matrix(2, 0), [], []).as_markdown({ header_style: "repeat" }), [
+            "|     |",
+            "| --- |",
+            "|     |",
+            "|     |",
+        ].join("\n"));
+        t.strictSame(new Table(null, new Matrix(2, 0), ["a", "b"], []).as_markdown(), [
+            "|     |",
+            "| --- |",
+            "| a   |",
+            "| b   |",
+        ].join("\n"), "but row headers are a column already");
+    });
+
+    t.test("unknown header_style throws ValueError", autoend(), t => {
+        const table = Table.from_format(`
+                 | Singular         | Plural
+                 | Nom     | Gen    | Nom
+            -----+---------+--------+--------
+            Ess  | guollin |        |
+            Com  |         | a\\|b   |
+        `, { caption: "guolli" });
+        t.throws(() => table.as_markdown({ header_style: "merged" }), ValueError);
+    });
+});
@@ -0,0 +1,147 @@
+import t from "tap";
+import { autoend, texts } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+const present = () => {
+    const table = Table.from_format(`
+                 |       | Sg   | Pl
+        Person   | 1{p1} |
+                 | 2     |
+        Number   | Du    |
+    `, { caption: "Present" });
+    table.data.set(0, 0, "boađán");
+    table.data.set(0, 1, "boahtit");
+    table.data.set(1, 0, "boađát");
+    return table;
+};
+
+const past = () => {
+    const table = Table.from_format(`
+                 |       | Sg
+        Person   | 1{p1} |
+                 | 3     |
+    `, { caption: "Past" });
+    table.data.set(0, 0, "bohten");
+    table.data.set(1, 0, "bodii");
+    return table;
+};
+
+t.test("Matrix.hconcat() and vconcat()", autoend(), t => {
+    const a = Matrix.from_data([ [1, 2], [3, 4] ]);
+    const b = Matrix.from_data([ [5], [6] ], { sparse: true });
+    t.strictSame(Matrix.hconcat(a, b).as_array(), [ [1, 2, 5], [3, 4, 6] ]);
+    t.ok(Matrix.hconcat(a, b).is_sparse);
+    t.strictSame(Matrix.vconcat(a, Matrix.from_data([ [5, 6] ])).as_array(), [ [1, 2], [3, 4], [5, 6] ]);
+    t.throws(() => Matrix.vconcat(a, b), ValueError);
+    t.throws(() => Matrix.hconcat(), ValueError);
+
+    const c = Matrix.hconcat(a, b);
+    c.set(0, 0, "changed");
+    t.strictSame(a.get(0, 0).value, 1, "the entries are copied");
+});
+
+t.test("Matrix.take() with null", autoend(), t => {
+    const m = Matrix.from_data([ [1, 2], [3, 4] ]);
+    t.strictSame(m.take([1, null], [null, 0]).as_array(), [ [undefined, 3], [undefined, undefined] ]);
+    const sparse = Matrix.from_data([ [1, 2], [3, 4] ], { sparse: true });
+    t.strictSame(sparse.take([1, null], [null, 0]).as_array(), [ [undefined, 3], [undefined, undefined] ]);
+});
+
+t.test("hconcat()", autoend(), t => {
+    const table = Table.hconcat(present(), past());
+    t.strictSame(texts(table.column_headers), [ ["Sg:1", "Pl:1", "Sg:1"] ]);
+    t.strictSame(texts(table.row_headers), [ ["Person:3", "Number:1"], ["1:1", "2:1", "3:1", "Du:1"] ],
+        "a row that only the second table has goes under the same outer header");
+    t.strictSame(table.data.as_array(), [
+        ["boađán", "boahtit", "bohten"],
+        ["boađát", undefined, undefined],
+        [undefined, undefined, "bodii"],
+        [undefined, undefined, undefined],
+    ]);
+    t.strictSame(table.row_index("p1"), 0);
+    t.strictSame(table.caption, null);
+});
+
+t.test("hconcat() with group_headers", autoend(), t => {
+    const table = Table.hconcat(present(), past(), { group_headers: true });
+    t.strictSame(texts(table.column_headers), [ ["Present:2", "Past:1"], ["Sg:1", "Pl:1", "Sg:1"] ]);
+    t.match(table.as_markdown(), /Present \/ Sg/);
+});
+
+t.test("hconcat() of tables without row headers", autoend(), t => {
+    const a = new Table(null, Matrix.from_data([ [1], [2] ]), [], [ [{ text: "A", span: 1 }] ]);
+    const b = new Table(null, Matrix.from_data([ [3], [4] ]), [], [ [{ text: "B", span: 1 }] ]);
+    t.strictSame(Table.hconcat(a, b).data.as_array(), [ [1, 3], [2, 4] ]);
+    const c = new Table(null, Matrix.from_data([ [5] ]), [], [ [{ text: "C", span: 1 }] ]);
+    t.throws(() => Table.hconcat(a, c), ValueError);
+});
+
+t.test("hconcat() conflicts", autoend(), t => {
+    const flat = Table.from_format(`
+           | Sg
+        1  |
+    `);
+    t.throws(() => Table.hconcat(present(), flat), ValueError, "different levels of row headers");
+
+    const duplicated = Table.from_format(`
+           | Sg
+        1  |
+        1  |
+    `);
+    t.throws(() => Table.hconcat(flat, duplicated), { name: "ValueError", message: /^Table\.hconcat\(\): table 1 has more than one row/ },
+        "two rows with the same headers");
+
+    const grouped = Table.from_format(`
+                 |       | Sg
+                 |       | Nom
+        Person   | 1{p1} |
+    `);
+    t.throws(() => Table.hconcat(present(), grouped), ValueError, "different levels of column headers");
+    t.throws(() => Table.hconcat(), ValueError);
+    t.throws(() => Table.hconcat(present(), "past"), TypeError);
+});
+
+t.test("vconcat()", autoend(), t => {
+    const a = present();
+    const b = Table.from_format(`
+                 |      | Sg   | Pl
+        Person   | 3    |
+    `, { caption: "More" });
+    b.data.set(0, 0, "boahtá");
+    const table = Table.vconcat(a, b);
+    t.strictSame(texts(table.row_headers), [ ["Person:2", "Number:1", "Person:1"], ["1:1", "2:1", "Du:1", "3:1"] ],
+        "headers of different tables are not merged");
+    t.strictSame(table.data.as_array()[3], ["boahtá", undefined]);
+    t.strictSame(texts(table.column_headers), texts(a.column_headers));
+
+    const grouped = Table.vconcat(a, b, { group_headers: true });
+    t.strictSame(texts(grouped.row_headers)[0], ["Present:3", "More:1"]);
+});
+
+t.test("vconcat() conflicts", autoend(), t => {
+    const other = Table.from_format(`
+                 |      | Sg   | Du
+        Person   | 3    |
+    `);
+    t.throws(() => Table.vconcat(present(), other), {
+        name: "ValueError",
+        message: /table 1 differ from those of table 0: header 1 of level 0 is "Pl" \(span 1\) and "Du" \(span 1\)/,
+    });
+    t.throws(() => Table.vconcat(present(), past()), ValueError);
+});
+
+t.test("footnotes", autoend(), t => {
+    const a = present();
+    a.add_footnote("n", "note").attach_footnote("n", { row: 0, column: 0 });
+    const b = past();
+    b.add_footnote("m", "other").attach_footnote("m", { row: 1, column: 0 });
+    const table = Table.hconcat(a, b);
+    t.strictSame([...table.footnotes], [ ["n", "note"], ["m", "other"] ]);
+    t.strictSame(table.data.get(2, 2).attributes.footnotes, ["m"]);
+
+    b.footnotes.set("n", "a different note");
+    t.throws(() => Table.hconcat(a, b), ValueError);
+});
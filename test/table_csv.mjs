@@ -0,0 +1,93 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+
+t.test("Table.to_csv()", autoend(), t => {
+    const table = Table.from_format(`
+                     |     | Sg        | Pl
+                     |     | Nom | Gen | Nom
+            ---------+-----+-----+-----+-----
+            Nominal  | Nom | a,b |     |
+                     | Gen |     |     | c
+            Verbal   | Inf |     | d   |
+    `);
+
+    t.strictSame(table.to_csv(), [
+        ",,Sg,Sg,Pl",
+        ",,Nom,Gen,Nom",
+        'Nominal,Nom,"a,b",,',
+        "Nominal,Gen,,,c",
+        "Verbal,Inf,,d,",
+    ].join("\r\n"), "spanned headers are repeated by default");
+
+    t.strictSame(table.to_csv({ spans: "blank", delimiter: ";", empty_value: "-", line_ending: "\n" }), [
+        ";;Sg;;Pl",
+        ";;Nom;Gen;Nom",
+        "Nominal;Nom;a,b;-;-",
+        ";Gen;-;-;c",
+        "Verbal;Inf;-;d;-",
+    ].join("\n"), "blank spans, other delimiter and empty value");
+
+    t.strictSame(table.to_csv({ show_column_headers: false, show_row_headers: false }), [
+        '"a,b",,',
+        ",,c",
+        ",d,",
+    ].join("\r\n"), "without headers");
+
+    t.throws(() => table.to_csv({ header_rows: 0 }),
+        { name: "ValueError", message: /header_rows is an option of from_csv\(\), use show_column_headers/ });
+    t.throws(() => table.to_csv({ row_header_columns: false }),
+        { name: "ValueError", message: /row_header_columns is an option of from_csv\(\), use show_row_headers/ });
+});
+
+t.test("Table.from_csv()", autoend(), t => {
+    const table = Table.from_csv([
+        ",,Sg,,Pl",
+        ",,Nom,Gen,Nom",
+        "Nominal,Nom,a,,",
+        ",Gen,,,c",
+        "Verbal,Inf,,d",
+    ].join("\n"), { header_rows: 2, row_header_columns: 2 });
+
+    t.strictSame(table.column_headers, [
+        [ { text: "Sg", span: 2 }, { text: "Pl", span: 1 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 }, { text: "Nom", span: 1 } ],
+    ]);
+    t.strictSame(table.row_headers, [
+        [ { text: "Nominal", span: 2 }, { text: "Verbal", span: 1 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 }, { text: "Inf", span: 1 } ],
+    ]);
+    t.strictSame(table.data.as_array(), [
+        [ "a", undefined, undefined ],
+        [ undefined, undefined, "c" ],
+        [ undefined, "d", undefined ],
+    ], "short lines are padded with empty cells");
+
+    t.test("repeated headers are not merged across a parent boundary", autoend(), t => {
+        const table = Table.from_csv("A,A,B,B\nx,x,x,y", { header_rows: 2 });
+        t.strictSame(table.column_headers, [
+            [ { text: "A", span: 2 }, { text: "B", span: 2 } ],
+            [ { text: "x", span: 1 }, { text: "x", span: 1 }, { text: "x", span: 1 }, { text: "y", span: 1 } ],
+        ]);
+        t.strictSame(table.data.height, 0);
+        t.strictSame(table.data.width, 4);
+    });
+
+    t.test("round trip", autoend(), t => {
+        const table = Table.from_format(`
+                     |     | Sg        | Pl
+                     |     | Nom | Gen | Nom
+            ---------+-----+-----+-----+-----
+            Nominal  | Nom | a,b |     |
+                     | Gen |     |     | c
+            Verbal   | Inf |     | d   |
+        `);
+        for (const spans of ["repeat", "blank"]) {
+            const again = Table.from_csv(table.to_csv({ spans }), { header_rows: 2, row_header_columns: 2 });
+            t.strictSame(again.column_headers, table.column_headers, `${spans}: column headers`);
+            t.strictSame(again.row_headers, table.row_headers, `${spans}: row headers`);
+            t.strictSame(again.data.as_array(), table.data.as_array(), `${spans}: data`);
+        }
+    });
+});
@@ -0,0 +1,64 @@
+import t from "tap";
+import { autoend, texts } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+
+t.test("filter_columns()", autoend(), t => {
+    const table = Table.from_format(`
+                 |      |    Singular     |   Plural
+                 |      | Nom{nom} | Gen  | Nom | Gen
+        ---------+------+----------+------+-----+-----
+        Verbal   | Inf  | a        |      |     |
+        Nominal  | Nom  |          |      | b   |
+                 | Gen  |          | d    |     | c
+    `);
+    const plural = table.filter_columns(column => column.path[0] === "Plural");
+    t.strictSame(texts(plural.column_headers), [ ["Plural:2"], ["Nom:1", "Gen:1"] ]);
+    t.strictSame(plural.data.as_array(), [ [undefined, undefined], ["b", undefined], [undefined, "c"] ]);
+    t.strictSame(texts(plural.row_headers), texts(table.row_headers), "the rows are all kept");
+
+    const genitives = table.filter_columns(column => column.header.text === "Gen");
+    t.strictSame(texts(genitives.column_headers), [ ["Singular:1", "Plural:1"], ["Gen:1", "Gen:1"] ],
+        "spanned headers shrink");
+
+    const keyed = table.filter_columns(column => column.header.key !== "nom");
+    t.strictSame(keyed.data.width, 3);
+});
+
+t.test("filter_rows()", autoend(), t => {
+    const table = Table.from_format(`
+                 |      |    Singular     |   Plural
+                 |      | Nom{nom} | Gen  | Nom | Gen
+        ---------+------+----------+------+-----+-----
+        Verbal   | Inf  | a        |      |     |
+        Nominal  | Nom  |          |      | b   |
+                 | Gen  |          | d    |     | c
+    `);
+    table.data.get(1, 2).attributes.class = "nonstandard";
+    table.data.get(2, 1).attributes.class = "nonstandard";
+    const standard = table.filter_rows(row => !row.entries
+        .filter(entry => entry.is_not_empty())
+        .every(entry => entry.attributes.class === "nonstandard"));
+    t.strictSame(texts(standard.row_headers), [ ["Verbal:1", "Nominal:1"], ["Inf:1", "Gen:1"] ]);
+    t.strictSame(standard.data.as_array()[1], [undefined, "d", undefined, "c"]);
+
+    const seen = [];
+    table.filter_rows(row => { seen.push([row.index, row.path]); return true; });
+    t.strictSame(seen, [ [0, ["Verbal", "Inf"]], [1, ["Nominal", "Nom"]], [2, ["Nominal", "Gen"]] ]);
+
+    const none = table.filter_rows(() => false);
+    t.strictSame(none.data.height, 0);
+    t.strictSame(none.row_headers, [ [], [] ], "the levels of row headers are kept");
+    t.strictSame(none.column_headers, table.column_headers);
+});
+
+t.test("footnotes are kept", autoend(), t => {
+    const table = Table.from_format(`
+             | A | B
+        -----+---+---
+        1    | a |
+        2    |   | c
+    `);
+    table.add_footnote("n", "note").attach_footnote("n", { row: 1, column: 1 });
+    t.match(table.filter_rows(row => row.index === 1).as_markdown(), "c[^1]");
+});
@@ -0,0 +1,261 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { OutOfBoundsError } from "../src/matrix.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("add_footnote() and attach_footnote()", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    t.strictSame([...table.footnotes.keys()], ["rare", "unused", "sg"]);
+    t.strictSame(table.data.get(1, 1).attributes.footnotes, ["rare"]);
+    t.strictSame(table.row_headers[0][0].footnotes, ["rare"]);
+    t.strictSame(table.column_headers[0][0].footnotes, ["sg"], "any column under a spanned header finds it");
+
+    table.attach_footnote("rare", { row: 1, column: 1 });
+    t.strictSame(table.data.get(1, 1).attributes.footnotes, ["rare"], "attaching twice does nothing");
+
+    t.throws(() => table.add_footnote("rare", "again"), ValueError);
+    t.throws(() => table.attach_footnote("nope", { row: 0, column: 0 }), ValueError);
+    t.throws(() => table.attach_footnote("rare", {}), ValueError);
+    t.throws(() => table.attach_footnote("rare", { column: 7 }), OutOfBoundsError);
+    t.throws(() => table.attach_footnote("rare", { row: 0, level: 2 }), OutOfBoundsError);
+});
+
+t.test("as_html() numbers the footnotes in reading order", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    const html = table.as_html();
+    t.match(html, `<th scope="colgroup" colspan="2">Sg<sup>1</sup></th>`);
+    t.match(html, `<th scope="rowgroup" rowspan="2">Nominal<sup>2</sup></th>`);
+    t.match(html, `<td>guole<sup>2</sup></td>`);
+    t.match(html, [
+        "  <tfoot>",
+        `    <tr><td colspan="5"><sup>1</sup> Singular.</td></tr>`,
+        `    <tr><td colspan="5"><sup>2</sup> Rare form.</td></tr>`,
+        "  </tfoot>",
+    ].join("\n"));
+    t.notMatch(html, "Not attached", "footnotes that are not attached are not rendered");
+    t.notMatch(new Table(null, table.data, [], []).as_html(), "<tfoot>");
+});
+
+t.test("as_markdown() uses footnote references", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    const md = table.as_markdown();
+    t.match(md, "| Sg[^1] / Nom | Sg[^1] / Gen | Pl / Nom |");
+    t.match(md, "| Nominal[^2] / Gen |              | guole[^2]    |          |");
+    t.ok(md.endsWith("\n\n[^1]: Singular.\n[^2]: Rare form."));
+});
+
+t.test("as_console_str() uses superscript numbers", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    const text = table.as_console_str({ show_caption: false });
+    t.match(text, "Sg¹");
+    t.match(text, "guole²");
+    t.ok(text.endsWith("\n\n¹ Singular.\n² Rare form."));
+});
+
+t.test("the footnotes are above a caption at the bottom", autoend(), t => {
+    const table = Table.from_format(`
+             | A
+        -----+---
+        1    | a
+    `, { caption: "guolli" });
+    table.add_footnote("rare", "Rare form.").attach_footnote("rare", { row: 0, column: 0 });
+
+    t.strictSame(table.as_console_str({ caption_placement: "bottom" }), [
+        "+---+----+",
+        "|   | A  |",
+        "+---+----+",
+        "| 1 | a¹ |",
+        "+---+----+",
+        "",
+        "¹ Rare form.",
+        "",
+        "  guolli  ",
+    ].join("\n"));
+    t.ok(table.as_console_str().endsWith("+---+----+\n\n¹ Rare form."), "and under the table with it at the top");
+
+    t.strictSame(table.as_markdown({ caption_placement: "bottom" }), [
+        "|     | A     |",
+        "| --- | ----- |",
+        "| 1   | a[^1] |",
+        "",
+        "[^1]: Rare form.",
+        "",
+        "**guolli**",
+    ].join("\n"));
+    t.ok(table.as_markdown().startsWith("**guolli**\n\n| "), "the caption is at the top by default");
+});
+
+t.test("as_grid_html() marks the footnotes, and lists them under the grid", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    const wide = table.as_grid_html({ screen_width: 1000 });
+    t.match(wide, `<div style="grid-row: 1 / span 1; grid-column: 3 / span 2;">Sg<sup>1</sup></div>`);
+    t.match(wide, `<div style="grid-row: 3 / span 2; grid-column: 1 / span 1;">Nominal<sup>2</sup></div>`);
+    t.match(wide, `<div style="grid-row: 4 / span 1; grid-column: 4 / span 1;">guole<sup>2</sup></div>`);
+    t.match(wide, [
+        `<div style="grid-row: 6 / span 1; grid-column: 1 / span 5;"><sup>1</sup> Singular.</div>`,
+        `  <div style="grid-row: 7 / span 1; grid-column: 1 / span 5;"><sup>2</sup> Rare form.</div>`,
+    ].join("\n"));
+
+    const narrow = table.as_grid_html({ screen_width: 100 });
+    t.match(narrow, `<div style="grid-column: 1 / -1;">Nominal<sup>2</sup> / Gen</div>`);
+    t.match(narrow, `<div>Sg<sup>1</sup> / Gen</div>\n  <div>guole<sup>2</sup></div>`);
+    t.match(narrow, [
+        `<div style="grid-column: 1 / -1;"><sup>1</sup> Singular.</div>`,
+        `  <div style="grid-column: 1 / -1;"><sup>2</sup> Rare form.</div>`,
+    ].join("\n"));
+    t.notMatch(narrow, "Not attached");
+});
+
+t.test("an empty cell with a footnote keeps its empty indicator", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.")
+        .add_footnote("none", "No form.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 })
+        .attach_footnote("none", { row: 2, column: 0 });
+    t.match(table.as_html({ empty_indicator: "–" }), `<th scope="row">Inf</th><td>–<sup>3</sup></td>`);
+    t.match(table.as_grid_html({ screen_width: 1000, empty_indicator: "–" }), `grid-column: 3 / span 1;">–<sup>3</sup></div>`);
+    t.match(table.as_markdown({ empty_indicator: "–" }), "| Verbal / Inf      | –[^3]        | –            | –        |");
+    t.match(table.as_console_str(), "| Verbal   | Inf | -³     | -      | -      |");
+    t.match(table.as_console_str({ color: true }), "\x1b[2m-³\x1b[0m", "and is styled as empty");
+    t.ok(table.data.peek(2, 0).is_empty(), "the table itself is left as it is");
+});
+
+t.test("footnotes of removed cells and headers are dropped", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    const sliced = table.slice([0, 2], [2]);
+    t.strictSame([...sliced.footnotes.keys()], ["rare", "unused", "sg"], "the footnotes are kept");
+    t.match(sliced.as_html(), `<sup>1</sup> Rare form.`, "but renumbered");
+    t.notMatch(sliced.as_html(), "Singular.");
+
+    const pruned = table.without_empty_rows_and_columns();
+    t.strictSame(pruned.data.height, 2);
+    t.match(pruned.as_markdown(), "[^2]: Rare form.");
+});
+
+t.test("footnotes survive JSON", autoend(), t => {
+    const table = Table.from_format(`
+                 |      | Sg              | Pl
+                 |      | Nom    | Gen    | Nom
+        ---------+------+--------+--------+--------
+        Nominal  | Nom  | guolli |        | guolit
+                 | Gen  |        | guole  |
+        Verbal   | Inf  |        |        |
+    `);
+    table
+        .add_footnote("rare", "Rare form.")
+        .add_footnote("unused", "Not attached to anything.")
+        .add_footnote("sg", "Singular.");
+    table
+        .attach_footnote("rare", { row: 1, column: 1 })
+        .attach_footnote("rare", { row: 0, level: 0 })
+        .attach_footnote("sg", { column: 1, level: 0 });
+    const again = Table.fromJSON(JSON.stringify(table));
+    t.strictSame([...again.footnotes], [["rare", "Rare form."], ["unused", "Not attached to anything."], ["sg", "Singular."]]);
+    t.strictSame(again.as_html(), table.as_html());
+    t.throws(() => Table.fromJSON({ ...table.toJSON(), footnotes: [{ id: 1 }] }), ValueError);
+});
@@ -1,7 +1,8 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend, texts } from "./_utils.mjs";
 
 import { Table } from "../src/index.mjs";
+import { TableFormatError, SNAP_DISTANCE } from "../src/format.mjs";
 
 const from_format_cases = [
     {
@@ -28,7 +29,15 @@ const from_format_cases = [
             E |
         `,
         expected: {
-            row_headers: ["A", "B", "CC", "DDD", "E"],
+            row_headers: [
+                [
+                    { text: "A", span: 1 },
+                    { text: "B", span: 1 },
+                    { text: "CC", span: 1 },
+                    { text: "DDD", span: 1 },
+                    { text: "E", span: 1 },
+                ],
+            ],
             column_headers: [],
             table_height: 5,
             table_width: 1,
@@ -84,7 +93,9 @@ const from_format_cases = [
                     { text: "d", span: 1 },
                 ],
             ],
-            row_headers: ["1"],
+            row_headers: [
+                [ { text: "1", span: 1 } ],
+            ],
             table_height: 1,
             table_width: 5,
         },
@@ -113,16 +124,63 @@ const from_format_cases = [
                     { text: "c3", span: 1 },
                 ],
             ],
-            row_headers: ["alpha", "bravo", "charlie"],
+            row_headers: [
+                [ { text: "alpha", span: 1 }, { text: "bravo", span: 1 }, { text: "charlie", span: 1 } ],
+            ],
             table_height: 3,
             table_width: 5,
         }
     },
+    {
+        title: "2 columns of row headers",
+        format: `
+                     |     | Sg | Pl
+            Nominal  | Nom |
+                     | Gen |
+                     | Acc |
+            Verbal   | Inf |
+        `,
+        expected: {
+            column_headers: [
+                [ { text: "Sg", span: 1 }, { text: "Pl", span: 1 } ],
+            ],
+            row_headers: [
+                [ { text: "Nominal", span: 3 }, { text: "Verbal", span: 1 } ],
+                [
+                    { text: "Nom", span: 1 },
+                    { text: "Gen", span: 1 },
+                    { text: "Acc", span: 1 },
+                    { text: "Inf", span: 1 },
+                ],
+            ],
+            table_height: 4,
+            table_width: 2,
+        }
+    },
+    {
+        title: "2 columns of row headers, only one pipe in the corner",
+        format: `
+                           | Sg | Pl
+            Nominal  | Nom |
+                     | Gen |
+        `,
+        expected: {
+            column_headers: [
+                [ { text: "Sg", span: 1 }, { text: "Pl", span: 1 } ],
+            ],
+            row_headers: [
+                [ { text: "Nominal", span: 2 } ],
+                [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 } ],
+            ],
+            table_height: 2,
+            table_width: 2,
+        }
+    },
 ];
 
-t.test("Table.from_format()", AUTOEND, t => {
+t.test("Table.from_format()", autoend(), t => {
     for (const { title, format, expected } of from_format_cases) {
-        t.test(title, AUTOEND, t => {
+        t.test(title, autoend(), t => {
             const table = Table.from_format(format);
             t.strictSame(expected.row_headers, table.row_headers, "row headers looks ok");
             t.strictSame(expected.column_headers, table.column_headers, "column headers looks ok");
@@ -132,8 +190,90 @@ t.test("Table.from_format()", AUTOEND, t => {
     }
 });
 
+t.test("Table.from_format() rejects inconsistent lines of row headers", autoend(), t => {
+    t.throws(() => Table.from_format(`
+                  | A | B
+        Nominal | Nom |
+                  Gen |
+    `), TableFormatError, "a line with fewer row headers than the others throws TableFormatError");
+});
+
+t.test("Table.from_format() reports misaligned pipes", autoend(), t => {
+    const format = `
+                |  Singular   | Plural
+                | Nom  | Gen   | Nom
+        Nominal |
+    `;
+    t.throws(() => Table.from_format(format), {
+        name: "TableFormatError",
+        line: 2,
+        column: 31,
+        message: /misaligned "\|", 1 column to the left of the "\|" of the line below/,
+        excerpt: "            |  Singular   | Plural\n                          ^",
+    });
+
+    const table = Table.from_format(format, { lenient: true });
+    t.strictSame(texts(table.column_headers), [ ["Singular:2", "Plural:1"], ["Nom:1", "Gen:1", "Nom:1"] ],
+        "lenient snaps the pipe to the one below it");
+    t.throws(() => Table.from_format(format.replace("|  Singular   |", "|  Singular |  ")), TableFormatError,
+        "a pipe that is off by more than SNAP_DISTANCE is not snapped");
+    t.strictSame(SNAP_DISTANCE, 2);
+});
+
+t.test("Table.from_format() reports headers that straddle two headers above them", autoend(), t => {
+    const format = `
+                | Singular | Plural
+                | Nom  | Gen    | Nom
+        Nominal |
+    `;
+    for (const lenient of [false, true]) {
+        t.throws(() => Table.from_format(format, { lenient }), {
+            name: "TableFormatError",
+            line: 3,
+            column: 28,
+            message: /the header "Gen" straddles the headers "Singular" and "Plural"/,
+        });
+    }
+});
+
+t.test("Table.from_format() reports inconsistent lines of row headers", autoend(), t => {
+    const format = `
+                |     | Sg
+        Nominal | Nom  |
+                | Gen |
+    `;
+    t.throws(() => Table.from_format(format), { name: "TableFormatError", line: 4, column: 23 });
+    t.strictSame(texts(Table.from_format(format, { lenient: true }).row_headers), [ ["Nominal:2"], ["Nom:1", "Gen:1"] ]);
+
+    t.throws(() => Table.from_format(`
+                 | Sg
+        Nominal |
+    `), { name: "TableFormatError", message: /where the row headers end/ }, "the corner must line up with the row headers");
+    t.throws(() => Table.from_format(`
+                | Sg     | Pl
+        --------+--------+-------
+        Nom      | guolli | guolit
+    `), { name: "TableFormatError", line: 4, message: /where the row headers end/ }, "also in lines with data");
+    t.throws(() => Table.from_format(`
+                | Sg
+        Nominal |
+        Verbal
+    `), { name: "TableFormatError", line: 4, column: 15, message: /expected a line of row headers/ });
+});
+
+t.test("Table.from_format() lines pipes up by how wide the text is", autoend(), t => {
+    const table = Table.from_format(`
+             | Sg
+        表格 |
+        Gen  |
+    `);
+    t.strictSame(texts(table.row_headers), [ ["表格:1", "Gen:1"] ]);
+    table.data.set(0, 0, "表格");
+    t.strictSame(Table.from_format(table.to_format()).data.get(0, 0).value, "表格", "to_format() lines them up the same way");
+});
+
 /*
-t.test("Table.without_empty_rows_and_columns", AUTOEND, t => {
+t.test("Table.without_empty_rows_and_columns", autoend(), t => {
     t.strictSame(1, 1, "1 === 1");
 });
 */
@@ -0,0 +1,102 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+const records = [
+    { number: "Sg", case: "Nom", form: "guolli" },
+    { number: "Sg", case: "Ill", form: "guollái" },
+    { number: "Pl", case: "Nom", form: "guolit" },
+    { number: "Pl", case: "Ill", form: "guliide" },
+    { number: "Pl", case: "Ill", form: "guolliide" },
+];
+
+t.test("one level of row headers, one level of column headers", autoend(), t => {
+    const table = Table.from_records(records, { rows: ["case"], columns: ["number"], value: "form" });
+
+    t.strictSame(table.row_headers, [
+        [ { text: "Nom", span: 1, key: "Nom" }, { text: "Ill", span: 1, key: "Ill" } ],
+    ]);
+    t.strictSame(table.column_headers, [
+        [ { text: "Sg", span: 1, key: "Sg" }, { text: "Pl", span: 1, key: "Pl" } ],
+    ]);
+    t.strictSame(table.data.as_array(), [
+        [ "guolli", "guolit" ],
+        [ "guollái", "guliide" ],
+    ], "the first value is kept by default");
+});
+
+t.test("multiple levels of column headers get spans", autoend(), t => {
+    const records = [
+        { mood: "Ind", tense: "Prs", person: "1Sg", form: "boran" },
+        { mood: "Ind", tense: "Prt", person: "1Sg", form: "borren" },
+        { mood: "Pot", tense: "Prs", person: "1Sg", form: "borrešin" },
+        { mood: "Ind", tense: "Prs", person: "2Sg", form: "borat" },
+    ];
+    const table = Table.from_records(records, {
+        rows: ["person"],
+        columns: ["mood", "tense"],
+        value: "form",
+    });
+
+    t.strictSame(table.column_headers, [
+        [ { text: "Ind", span: 2, key: "Ind" }, { text: "Pot", span: 1, key: "Pot" } ],
+        [ { text: "Prs", span: 1, key: "Prs" }, { text: "Prt", span: 1, key: "Prt" }, { text: "Prs", span: 1, key: "Prs" } ],
+    ]);
+    t.strictSame(table.data.as_array(), [
+        [ "boran", "borren", "borrešin" ],
+        [ "borat", undefined, undefined ],
+    ]);
+    t.strictSame(table.get_by_key("1Sg", ["Pot", "Prs"]).value, "borrešin");
+});
+
+t.test("aggregate", autoend(), t => {
+    const options = { rows: ["case"], columns: ["number"], value: "form" };
+
+    const array = Table.from_records(records, { ...options, aggregate: "array" });
+    t.strictSame(array.get_by_key("Ill", "Pl").value, [ "guliide", "guolliide" ]);
+    t.strictSame(array.get_by_key("Nom", "Sg").value, [ "guolli" ]);
+
+    const joined = Table.from_records(records, { ...options, aggregate: "join" });
+    t.strictSame(joined.get_by_key("Ill", "Pl").value, "guliide, guolliide");
+
+    const tilde = Table.from_records(records, { ...options, aggregate: "join", join_separator: " ~ " });
+    t.strictSame(tilde.get_by_key("Ill", "Pl").value, "guliide ~ guolliide");
+
+    const last = Table.from_records(records, { ...options, aggregate: (a, b) => b });
+    t.strictSame(last.get_by_key("Ill", "Pl").value, "guolliide");
+
+    const concatenated = Table.from_records(records, { ...options, aggregate: (a, b) => a + b });
+    t.strictSame(concatenated.get_by_key("Ill", "Pl").value, "guliideguolliide", "a function reduces the values");
+    t.strictSame(concatenated.get_by_key("Nom", "Sg").value, "guolli", "and isn't called for a single value");
+
+    t.throws(() => Table.from_records(records, { ...options, aggregate: "sum" }), ValueError);
+});
+
+t.test("no row fields gives a single row without row headers", autoend(), t => {
+    const table = Table.from_records(records, { columns: ["number", "case"], value: "form" });
+    t.strictSame(table.row_headers, []);
+    t.strictSame(table.data.height, 1);
+    t.strictSame(table.data.width, 4);
+    t.strictSame(table.data.as_array(), [ [ "guolli", "guollái", "guolit", "guliide" ] ]);
+});
+
+t.test("null, undefined and missing fields", autoend(), t => {
+    const table = Table.from_records([
+        { a: null, v: 1 },
+        { a: undefined, v: 2 },
+        { v: 3 },
+        { a: "null", v: 4 },
+    ], { rows: ["a"], value: "v", aggregate: "array" });
+    t.strictSame(table.row_headers, [
+        [ { text: "null", span: 1, key: "null" }, { text: "undefined", span: 1, key: "undefined" }, { text: "null", span: 1, key: "null" } ],
+    ]);
+    t.strictSame(table.data.as_array(), [ [ [ 1 ] ], [ [ 2, 3 ] ], [ [ 4 ] ] ], "a missing field is undefined");
+});
+
+t.test("every record must be an object", autoend(), t => {
+    t.throws(() => Table.from_records([ null ], { value: "v" }),
+        { name: "ValueError", message: "Table.from_records(): record 0 must be an object, not null" });
+    t.throws(() => Table.from_records([ { v: 1 }, "v" ], { value: "v" }), { name: "ValueError", message: /record 1/ });
+});
@@ -0,0 +1,154 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("insert_row() joins the group of the row above", autoend(), t => {
+    const table = Table.from_format(`
+                 |     |     Sg    | Pl
+                 |     | Nom | Gen | Nom
+        ---------+-----+-----+-----+-----
+        Sg{sg}   | Nom | a   |     |
+                 | Gen |     | b   |
+        Pl       | Nom |     |     | c
+    `);
+    table.insert_row(2, { text: "Ess", key: "ess" }, ["x", "y", "z"]);
+
+    t.strictSame(table.row_headers, [
+        [ { text: "Sg", span: 3, key: "sg" }, { text: "Pl", span: 1 } ],
+        [
+            { text: "Nom", span: 1 },
+            { text: "Gen", span: 1 },
+            { text: "Ess", span: 1, key: "ess" },
+            { text: "Nom", span: 1 },
+        ],
+    ]);
+    t.strictSame(table.data.height, 4);
+    t.strictSame(table.data.get(table.row_index("ess"), 2).value, "z");
+
+    table.insert_row(0, "Abe");
+    t.strictSame(table.row_headers[0][0], { text: "Sg", span: 4, key: "sg" }, "inserted first, it joins the group below");
+
+    table.append_row("Com");
+    t.strictSame(table.row_headers[0][1], { text: "Pl", span: 2 }, "appended, it joins the last group");
+    t.strictSame(table.data.height, 6);
+});
+
+t.test("insert_column() joins the group of the column to the left", autoend(), t => {
+    const table = Table.from_format(`
+                 |     |     Sg    | Pl
+                 |     | Nom | Gen | Nom
+        ---------+-----+-----+-----+-----
+        Sg{sg}   | Nom | a   |     |
+                 | Gen |     | b   |
+        Pl       | Nom |     |     | c
+    `);
+    table.insert_column(2, "Ess");
+
+    t.strictSame(table.column_headers, [
+        [ { text: "Sg", span: 3 }, { text: "Pl", span: 1 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 }, { text: "Ess", span: 1 }, { text: "Nom", span: 1 } ],
+    ]);
+    t.strictSame(table.data.as_array()[2], [undefined, undefined, undefined, "c"]);
+});
+
+t.test("remove_row() and remove_column() shrink spans", autoend(), t => {
+    const table = Table.from_format(`
+                 |     |     Sg    | Pl
+                 |     | Nom | Gen | Nom
+        ---------+-----+-----+-----+-----
+        Sg{sg}   | Nom | a   |     |
+                 | Gen |     | b   |
+        Pl       | Nom |     |     | c
+    `);
+    table.remove_row(1);
+    t.strictSame(table.row_headers, [
+        [ { text: "Sg", span: 1, key: "sg" }, { text: "Pl", span: 1 } ],
+        [ { text: "Nom", span: 1 }, { text: "Nom", span: 1 } ],
+    ]);
+
+    table.remove_column(2);
+    t.strictSame(table.column_headers, [
+        [ { text: "Sg", span: 2 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 } ],
+    ], "a header that only spanned the removed column is removed");
+    t.strictSame(table.data.as_array(), [ ["a", undefined], [undefined, undefined] ]);
+});
+
+t.test("inserting into a table with no rows or columns left", autoend(), t => {
+    const table = Table.from_format(`
+                 |     | Sg  | Pl
+        ---------+-----+-----+-----
+        Sg       | Nom | a   |
+                 | Gen |     | b
+    `);
+    table.remove_row(0).remove_row(0);
+    t.strictSame(table.row_headers, [ [], [] ], "the levels of row headers are kept");
+
+    table.insert_row(0, "Z");
+    t.strictSame(table.row_headers, [ [ { text: "", span: 1 } ], [ { text: "Z", span: 1 } ] ], "with blank outer headers");
+    t.strictSame(table.data.str(), "Matrix<1, 2>");
+
+    table.remove_column(0).remove_column(0);
+    t.strictSame(table.column_headers, [ [] ]);
+    table.insert_column(0, "X");
+    t.strictSame(table.column_headers, [ [ { text: "X", span: 1 } ] ]);
+});
+
+t.test("headers must match the table", autoend(), t => {
+    const table = Table.from_format(`a | b | c`);
+    t.throws(() => table.insert_row(1, "x"), ValueError, "no row headers, so no header can be given");
+    table.insert_row(1, null, [1, 2, 3]);
+    t.strictSame(table.data.height, 2);
+    t.throws(() => table.insert_column(0), ValueError, "column headers need a header");
+});
+
+t.test("resize()", autoend(), t => {
+    const table = Table.from_format(`
+                 |     |     Sg    | Pl
+                 |     | Nom | Gen | Nom
+        ---------+-----+-----+-----+-----
+        Sg{sg}   | Nom | a   |     |
+                 | Gen |     | b   |
+        Pl       | Nom |     |     | c
+    `);
+    table.resize(4, 2, { row_headers: [ { text: "Ess", key: "ess" } ] });
+
+    t.strictSame(table.row_headers, [
+        [ { text: "Sg", span: 2, key: "sg" }, { text: "Pl", span: 2 } ],
+        [
+            { text: "Nom", span: 1 },
+            { text: "Gen", span: 1 },
+            { text: "Nom", span: 1 },
+            { text: "Ess", span: 1, key: "ess" },
+        ],
+    ], "an added row joins the last group");
+    t.strictSame(table.column_headers, [
+        [ { text: "Sg", span: 2 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 } ],
+    ], "the headers of removed columns are removed");
+    t.strictSame(table.data.as_array(), [
+        [ "a", undefined ],
+        [ undefined, "b" ],
+        [ undefined, undefined ],
+        [ undefined, undefined ],
+    ]);
+
+    table.resize(1, 3, { column_headers: ["Ess"] });
+    t.strictSame(table.row_headers, [ [ { text: "Sg", span: 1, key: "sg" } ], [ { text: "Nom", span: 1 } ] ]);
+    t.strictSame(table.column_headers, [
+        [ { text: "Sg", span: 3 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 }, { text: "Ess", span: 1 } ],
+    ]);
+    t.strictSame(table.data.as_array(), [ [ "a", undefined, undefined ] ]);
+
+    t.throws(() => table.resize(2, 3), ValueError, "an added row needs a header");
+    t.throws(() => table.resize(1, 3, { row_headers: ["x"] }), ValueError, "and a row that isn't added can't have one");
+    t.throws(() => table.resize(-1, 3), ValueError);
+    t.strictSame(table.data.height, 1, "a resize that throws changes nothing");
+
+    const without_headers = Table.from_format(`a | b | c`);
+    without_headers.resize(2, 3);
+    t.strictSame(without_headers.data.height, 2, "a table without row headers gets rows without headers");
+});
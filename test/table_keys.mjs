@@ -0,0 +1,77 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { ValueError } from "../src/utils.mjs";
+
+t.test("keys are parsed by Table.from_format()", autoend(), t => {
+    const table = Table.from_format(`
+                                  |       Sg{sg}        |       Pl{pl}
+                                  | Nom{nom} | Gen{gen} | Nom{nom} | Gen{gen}
+        Nominal{nomi}  | Ess{ess} |
+                       | Com{com} |
+        Other          | Abe      |
+    `);
+    t.strictSame(table.column_headers[0], [
+        { text: "Sg", span: 2, key: "sg" },
+        { text: "Pl", span: 2, key: "pl" },
+    ]);
+    t.strictSame(table.column_headers[1][1], { text: "Gen", span: 1, key: "gen" });
+    t.strictSame(table.row_headers[0], [
+        { text: "Nominal", span: 2, key: "nomi" },
+        { text: "Other", span: 1 },
+    ]);
+    t.strictSame(table.row_headers[1][2], { text: "Abe", span: 1 }, "headers without a key has no key property");
+});
+
+t.test("get_by_key() and set_by_key()", autoend(), t => {
+    const table = Table.from_format(`
+                                  |       Sg{sg}        |       Pl{pl}
+                                  | Nom{nom} | Gen{gen} | Nom{nom} | Gen{gen}
+        Nominal{nomi}  | Ess{ess} |
+                       | Com{com} |
+        Other          | Abe      |
+    `);
+    table.set_by_key("com", ["pl", "gen"], "gussiiguin");
+    t.strictSame(table.data.get(1, 3).value, "gussiiguin", "set_by_key() sets the right cell");
+    t.strictSame(table.get_by_key(["nomi", "com"], ["pl", "gen"]).value, "gussiiguin");
+    t.ok(table.get_by_key("ess", ["sg", "nom"]).is_empty());
+});
+
+t.test("keys are stable after slice() and without_empty_rows_and_columns()", autoend(), t => {
+    const table = Table.from_format(`
+                                  |       Sg{sg}        |       Pl{pl}
+                                  | Nom{nom} | Gen{gen} | Nom{nom} | Gen{gen}
+        Nominal{nomi}  | Ess{ess} |
+                       | Com{com} |
+        Other          | Abe      |
+    `);
+    table.set_by_key("com", ["pl", "gen"], "x");
+    table.set_by_key("ess", ["pl", "nom"], "y");
+
+    const without = table.without_empty_rows_and_columns();
+    t.strictSame(without.data.width, 2);
+    t.strictSame(without.get_by_key("com", "gen").value, "x");
+    t.strictSame(without.get_by_key("ess", "nom").value, "y");
+});
+
+t.test("unknown and ambiguous keys throw ValueError", autoend(), t => {
+    const table = Table.from_format(`
+                                  |       Sg{sg}        |       Pl{pl}
+                                  | Nom{nom} | Gen{gen} | Nom{nom} | Gen{gen}
+        Nominal{nomi}  | Ess{ess} |
+                       | Com{com} |
+        Other          | Abe      |
+    `);
+    t.throws(() => table.get_by_key("ill", "sg"), ValueError, "unknown row key");
+    t.throws(() => table.get_by_key("ess", "gen"), ValueError, "ambiguous column key");
+    t.throws(() => table.column_index("sg"), ValueError, "a spanned key identifies more than one column");
+    t.strictSame(table.column_index(["sg", "gen"]), 1);
+
+    t.throws(() => table.get_by_key("ill", "sg"), { message: 'Table.get_by_key(): no row has the key "ill"' },
+        "the error names the method that was called");
+    t.throws(() => table.set_by_key("ess", "gen", 1), { message: /^Table\.set_by_key\(\): the key "gen" is ambiguous/ });
+    t.throws(() => table.row_index("ill"), { message: /^Table\.row_index\(\)/ });
+    t.throws(() => table.column_index("sg"), { message: /^Table\.column_index\(\)/ });
+    t.throws(() => table.sort_rows({ by: "sg" }), { message: /^Table\.sort_rows\(\)/ });
+});
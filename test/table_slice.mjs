@@ -1,9 +1,9 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend } from "./_utils.mjs";
 
 import { Table } from "../src/table.mjs";
 
-t.test("Basic", AUTOEND, t => {
+t.test("Basic", autoend(), t => {
     const table = Table.from_format(`
                 | A | B |     C
                 | a | b | c1 | c2 | c3
@@ -16,7 +16,7 @@ t.test("Basic", AUTOEND, t => {
     table.data.set(0, 3, "alpha-C-c2");
 
     const sliced = table.slice([0], [0, 1, 3]);
-    const expected_row_headers = ["alpha"];
+    const expected_row_headers = [ [ { text: "alpha", span: 1 } ] ];
     const expected_column_headers = [
         [
             { text: "A", span: 1 },
@@ -33,3 +33,39 @@ t.test("Basic", AUTOEND, t => {
     t.strictSame(expected_row_headers, sliced.row_headers);
     t.strictSame(expected_column_headers, sliced.column_headers);
 });
+
+t.test("2 columns of row headers", autoend(), t => {
+    const table = Table.from_format(`
+                 |     | Sg | Pl
+        Nominal  | Nom |
+                 | Gen |
+                 | Acc |
+        Verbal   | Inf |
+    `);
+
+    const sliced = table.slice([1, 2, 3], [1]);
+    const expected_row_headers = [
+        [ { text: "Nominal", span: 2 }, { text: "Verbal", span: 1 } ],
+        [ { text: "Gen", span: 1 }, { text: "Acc", span: 1 }, { text: "Inf", span: 1 } ],
+    ];
+
+    t.strictSame(expected_row_headers, sliced.row_headers);
+    t.strictSame([ [ { text: "Pl", span: 1 } ] ], sliced.column_headers);
+    t.strictSame(3, sliced.data.height, "height is 3");
+});
+
+t.test("equal row header texts under different parents are not merged", autoend(), t => {
+    const table = Table.from_format(`
+                 |     | A
+        Sg       | Nom |
+                 | Gen |
+        Pl       | Nom |
+    `);
+
+    const sliced = table.slice([0, 2], [0]);
+    const expected_row_headers = [
+        [ { text: "Sg", span: 1 }, { text: "Pl", span: 1 } ],
+        [ { text: "Nom", span: 1 }, { text: "Nom", span: 1 } ],
+    ];
+    t.strictSame(expected_row_headers, sliced.row_headers);
+});
@@ -0,0 +1,132 @@
+import t from "tap";
+import { autoend, texts } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { OutOfBoundsError } from "../src/matrix.mjs";
+import { ValueError, collator, enumerate } from "../src/utils.mjs";
+
+const make_words = () => {
+    const table = Table.from_format(`
+                | Sg{sg} | Pl{pl}
+        dálvi   |
+        čáhci   |
+        áhkku   |
+        cuozza  |
+        beana   |
+        ađaiga  |
+    `);
+    for (const [y, sg] of enumerate(["dálvi", "čáhci", "áhkku", "cuozza", "beana", "ađaiga"])) {
+        table.data.set(y, 0, sg);
+    }
+    table.data.set(0, 1, 30);
+    table.data.set(1, 1, 4);
+    table.data.set(3, 1, 100);
+    table.data.set(4, 1, "beatnagat");
+    return table;
+};
+
+t.test("collator()", autoend(), t => {
+    t.strictSame(["čáhci", "dálvi", "cuozza"].sort(collator("se")), ["cuozza", "čáhci", "dálvi"]);
+    t.strictSame(["ø", "å", "æ", "a"].sort(collator("sma")), ["a", "æ", "ø", "å"], "South Sámi sorts æ ø å last");
+    t.strictSame(["ŋ", "o", "n"].sort(collator("smj")), ["n", "ŋ", "o"]);
+    t.throws(() => collator("x-"), { name: "ValueError", message: 'collator(): invalid locale "x-"' });
+    t.throws(() => collator(["se"]), { name: "ValueError", message: /locale must be a string/ });
+});
+
+t.test("sort_rows() by header", autoend(), t => {
+    const table = make_words().sort_rows({ locale: "se" });
+    t.strictSame(table.row_headers[0].map(h => h.text), ["ađaiga", "áhkku", "beana", "cuozza", "čáhci", "dálvi"]);
+    t.strictSame(table.data.as_array().map(row => row[0]), ["ađaiga", "áhkku", "beana", "cuozza", "čáhci", "dálvi"],
+        "the data follows the headers");
+
+    table.sort_rows({ locale: "se", direction: "desc" });
+    t.strictSame(table.row_headers[0].at(0).text, "dálvi");
+});
+
+t.test("sort_rows() by values", autoend(), t => {
+    const table = make_words();
+    table.sort_rows({ by: "pl" });
+    t.strictSame(table.data.as_array().map(row => row[1]), [4, 30, 100, "beatnagat", undefined, undefined],
+        "numbers numerically, then text, and empty cells last");
+    t.strictSame(table.row_headers[0].map(h => h.text).slice(0, 3), ["čáhci", "dálvi", "cuozza"]);
+
+    table.sort_rows({ by: 1, direction: "desc" });
+    t.strictSame(table.data.as_array().map(row => row[1]), ["beatnagat", 100, 30, 4, undefined, undefined],
+        "empty cells are last when descending too");
+
+    table.sort_rows({ by: "sg", locale: "se" });
+    t.strictSame(table.data.as_array()[0][0], "ađaiga", "á is a letter of its own, after a");
+
+    t.throws(() => table.sort_rows({ by: 2 }), OutOfBoundsError);
+    t.throws(() => table.sort_rows({ by: "du" }), ValueError);
+    t.throws(() => table.sort_rows({ direction: "up" }), ValueError);
+    t.throws(() => table.sort_rows({ locale: "not a locale" }),
+        { name: "ValueError", message: 'Table.sort_rows(): invalid locale "not a locale"' });
+    t.throws(() => table.sort_columns({ locale: 7 }),
+        { name: "ValueError", message: "Table.sort_columns(): locale must be a string, not 7" });
+});
+
+t.test("sort_rows() with a compare function", autoend(), t => {
+    const table = make_words();
+    const seen = [];
+    table.sort_rows((a, b) => {
+        seen.push(a);
+        return a.path[0].length - b.path[0].length;
+    });
+    t.strictSame(table.row_headers[0].map(h => h.text), ["dálvi", "čáhci", "áhkku", "beana", "cuozza", "ađaiga"]);
+    t.strictSame(Object.keys(seen[0]), ["index", "header", "path", "entries"]);
+});
+
+t.test("spanned headers are not split", autoend(), t => {
+    const table = Table.from_format(`
+                   |      | b  | a
+        Verbal     | Inf  |
+                   | Ger  |
+        Nominal    | Nom  |
+                   | Acc  |
+                   | Gen  |
+    `);
+    table.data.set(0, 0, 3);
+    table.data.set(1, 0, 1);
+    table.data.set(2, 0, 2);
+    table.data.set(3, 0, 5);
+    table.data.set(4, 0, 4);
+
+    table.sort_rows({ by: 0 });
+    t.strictSame(texts(table.row_headers), [
+        ["Verbal:2", "Nominal:3"],
+        ["Ger:1", "Inf:1", "Nom:1", "Gen:1", "Acc:1"],
+    ], "rows are sorted within their parent header");
+    t.strictSame(table.data.as_array().map(row => row[0]), [1, 3, 2, 4, 5]);
+
+    table.sort_rows();
+    t.strictSame(texts(table.row_headers), [
+        ["Nominal:3", "Verbal:2"],
+        ["Acc:1", "Gen:1", "Nom:1", "Ger:1", "Inf:1"],
+    ], "by header, the parent headers are sorted too");
+    t.strictSame(table.data.as_array().map(row => row[0]), [5, 4, 2, 1, 3]);
+});
+
+t.test("sort_columns()", autoend(), t => {
+    const table = Table.from_format(`
+           |     Sg      |     Pl
+           | Nom  | Gen  | Nom  | Gen
+        a  |
+        b  |
+    `);
+    table.data.set(0, 0, "a-sg-nom");
+    table.data.set(0, 3, "a-pl-gen");
+    table.data.set(1, 1, 2);
+    table.data.set(1, 2, 1);
+
+    table.sort_columns();
+    t.strictSame(table.column_headers.map(level => level.map(h => `${h.text}:${h.span}`)), [
+        ["Pl:2", "Sg:2"],
+        ["Gen:1", "Nom:1", "Gen:1", "Nom:1"],
+    ]);
+    t.strictSame(table.data.as_array()[0], ["a-pl-gen", undefined, undefined, "a-sg-nom"]);
+
+    table.sort_columns({ by: 1 });
+    t.strictSame(table.data.as_array()[1], [1, undefined, 2, undefined], "the columns of Sg and Pl are sorted separately");
+    t.strictSame(table.column_headers[0].map(h => h.text), ["Pl", "Sg"]);
+});
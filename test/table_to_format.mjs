@@ -0,0 +1,170 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+import { TableFormatError } from "../src/format.mjs";
+
+t.test("Table.to_format()", autoend(), t => {
+    const table = Table.from_format(`
+                 |     |     Sg{sg}    | Pl
+                 |     | Nom   | Gen   | Nom
+        Nominal  | Nom |
+                 | Gen |
+        Verbal   | Inf |
+    `);
+    table.data.set(0, 0, "a|b");
+    table.data.set(1, 2, "long value");
+    table.data.set(2, 1, "c");
+
+    const expected = [
+        "        |     | Sg{sg}     | Pl",
+        "        |     | Nom  | Gen | Nom",
+        "--------+-----+------+-----+-----------",
+        "Nominal | Nom | a\\|b |     |",
+        "        | Gen |      |     | long value",
+        "Verbal  | Inf |      | c   |",
+    ].join("\n");
+    t.strictSame(table.to_format(), expected);
+});
+
+t.test("Table.from_format() with data", autoend(), t => {
+    const table = Table.from_format(`
+                 |     | Sg     | Pl
+        ---------+-----+--------+-------
+        Nominal  | Nom | guolli | guolit
+                 | Gen | guole  |
+        Verbal   | Inf |        | x \\| y
+    `);
+
+    t.strictSame(table.row_headers, [
+        [ { text: "Nominal", span: 2 }, { text: "Verbal", span: 1 } ],
+        [ { text: "Nom", span: 1 }, { text: "Gen", span: 1 }, { text: "Inf", span: 1 } ],
+    ]);
+    t.strictSame(table.column_headers, [ [ { text: "Sg", span: 1 }, { text: "Pl", span: 1 } ] ]);
+    t.strictSame(table.data.as_array(), [
+        [ "guolli", "guolit" ],
+        [ "guole", undefined ],
+        [ undefined, "x | y" ],
+    ]);
+    t.ok(table.data.get(1, 1).is_empty(), "blank cells are empty");
+
+    t.throws(() => Table.from_format(`
+          | A | B
+        --+---+---
+        1 | x
+    `), TableFormatError, "a row with too few cells throws TableFormatError");
+});
+
+t.test("round trip", autoend(), t => {
+    const cases = {
+        "spanned column headers and keys": `
+                    |      A{a}     | B
+                    | a1     | a2   | b1
+            --------+--------+------+---
+            1{one}  | x      |      | y
+            2       |        | z    |
+        `,
+        "no row headers": `
+            a | b | c
+            --+---+--
+            x |   | y
+        `,
+        "only row headers": `
+            --+--
+            A | q
+            B |
+        `,
+        "no column headers, and more than one column": `
+            --+---+-------------
+            A | x | a |   |
+              | y |   |   | b
+        `,
+        "no headers at all": `
+            ---------
+            a |   |
+              | b | c
+        `,
+    };
+
+    for (const [title, format] of Object.entries(cases)) {
+        const table = Table.from_format(format);
+        const again = Table.from_format(table.to_format());
+        t.strictSame(again.row_headers, table.row_headers, `${title}: row headers`);
+        t.strictSame(again.column_headers, table.column_headers, `${title}: column headers`);
+        t.strictSame(again.data.as_array(), table.data.as_array(), `${title}: data`);
+        t.ok(table.is_not_empty(), `${title}: has data`);
+    }
+});
+
+t.test("a table without column headers", autoend(), t => {
+    const table = Table.from_format(`
+        --+---+-------------
+        A | x | a |   |
+          | y |   |   | b
+    `);
+    t.strictSame(table.data.str(), "Matrix<2, 3>");
+    t.strictSame(table.to_format(), [
+        "--+---+---------",
+        "A | x | a |  |",
+        "  | y |   |  | b",
+    ].join("\n"), "the separator only has a \"+\" where the row headers end");
+});
+
+t.test("round trip of braces and backslashes", autoend(), t => {
+    const table = Table.from_format(`
+          | A | B
+        --+---+---
+        1 |   |
+    `);
+    table.column_headers[0][0] = { text: "f{x}", span: 1, key: "k{}" };
+    table.column_headers[0][1] = { text: "a\\|b\\", span: 1 };
+    table.row_headers[0][0] = { text: "\\{1}", span: 1 };
+    table.data.set(0, 0, "a\\|b");
+    table.data.set(0, 1, " a\\|b ");
+
+    const expected = String.raw`
+        | f\{x\}{k\{\}} | a\\\|b\\
+--------+---------------+-----------
+\\\{1\} | a\\\|b        | " a\\\|b "`.slice(1);
+    t.strictSame(table.to_format(), expected, "braces in headers, and backslashes, are escaped");
+
+    const again = Table.from_format(table.to_format());
+    t.strictSame(again.column_headers, table.column_headers);
+    t.strictSame(again.row_headers, table.row_headers);
+    t.strictSame(again.data.as_array(), [ [ "a\\|b", " a\\|b " ] ]);
+});
+
+t.test("round trip of values that can't be written as they are", autoend(), t => {
+    const table = Table.from_format(`
+          | A | B | C
+        --+---+---+---
+        1 |   |   |
+        2 |   |   |
+    `);
+    const values = [
+        [ "", "   ", "two\nlines" ],
+        [ " padded ", "\"quoted\"", "a | \"b\"\r\n" ],
+    ];
+    for (const [y, row] of values.entries()) {
+        for (const [x, value] of row.entries()) table.data.set(y, x, value);
+    }
+
+    const expected = String.raw`
+  | A          | B            | C
+--+------------+--------------+-----------------
+1 | ""         | "   "        | "two\nlines"
+2 | " padded " | "\"quoted\"" | "a \| \"b\"\r\n"`.slice(1);
+    t.strictSame(table.to_format(), expected, "they are written as JSON strings");
+
+    const again = Table.from_format(table.to_format());
+    t.strictSame(again.data.as_array(), values, "and read back");
+
+    const unquoted = Table.from_format(`
+          | A
+        --+----------
+        1 | "a" "b"
+        2 | "
+    `);
+    t.strictSame(unquoted.data.as_array(), [ [ "\"a\" \"b\"" ], [ "\"" ] ],
+        "a cell in double quotes that isn't a JSON string is read as it is");
+});
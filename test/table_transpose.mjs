@@ -0,0 +1,74 @@
+import t from "tap";
+import { autoend, texts } from "./_utils.mjs";
+
+import { Table } from "../src/table.mjs";
+
+t.test("transpose()", autoend(), t => {
+    const table = Table.from_format(`
+                 |      |    Singular     | Plural
+                 |      | Nom{nom} | Gen  | Nom
+        ---------+------+----------+------+-----
+        Verbal   | Inf  | a        |      |
+        Nominal  | Nom  |          |      | b
+                 | Gen  |          | c    |
+    `);
+    const transposed = table.transpose();
+
+    t.strictSame(transposed.data.as_array(), [
+        ["a", undefined, undefined],
+        [undefined, undefined, "c"],
+        [undefined, "b", undefined],
+    ]);
+    t.strictSame(texts(transposed.row_headers), [ ["Singular:2", "Plural:1"], ["Nom:1", "Gen:1", "Nom:1"] ]);
+    t.strictSame(texts(transposed.column_headers), [ ["Verbal:1", "Nominal:2"], ["Inf:1", "Nom:1", "Gen:1"] ]);
+    t.strictSame(transposed.row_index("nom"), 0, "keys follow the headers");
+
+    t.strictSame(transposed.transpose().data.as_array(), table.data.as_array());
+    t.strictSame(transposed.transpose().row_headers, table.row_headers);
+    t.strictSame(transposed.transpose().column_headers, table.column_headers);
+});
+
+t.test("transpose() copies", autoend(), t => {
+    const table = Table.from_format(`
+              | Singular
+        ------+---------
+        Nom   | a
+    `);
+    const transposed = table.transpose();
+    transposed.data.set(0, 0, "changed");
+    transposed.row_headers[0][0].text = "changed";
+    t.strictSame(table.data.get(0, 0).value, "a");
+    t.strictSame(table.column_headers[0][0].text, "Singular");
+});
+
+t.test("transpose() keeps the caption and footnotes", autoend(), t => {
+    const table = Table.from_format(`
+                 |      |    Singular     | Plural
+                 |      | Nom{nom} | Gen  | Nom
+        ---------+------+----------+------+-----
+        Verbal   | Inf  | a        |      |
+        Nominal  | Nom  |          |      | b
+                 | Gen  |          | c    |
+    `);
+    table.caption = "guolli";
+    table.add_footnote("n", "note")
+        .attach_footnote("n", { row: 2, column: 1 })
+        .attach_footnote("n", { column: 2, level: 0 });
+    const transposed = table.transpose();
+    t.strictSame(transposed.caption, "guolli");
+    t.strictSame(transposed.data.get(1, 2).attributes.footnotes, ["n"]);
+    t.strictSame(transposed.row_headers[0][1].footnotes, ["n"]);
+    t.match(transposed.as_markdown(), /\[\^1\]: note/);
+});
+
+t.test("transpose() of a table without column headers", autoend(), t => {
+    const table = Table.from_format(`
+        Nom |
+        Gen |
+    `);
+    const transposed = table.transpose();
+    t.strictSame(transposed.row_headers, []);
+    t.strictSame(texts(transposed.column_headers), [ ["Nom:1", "Gen:1"] ]);
+    t.strictSame(transposed.data.height, 1);
+    t.strictSame(transposed.data.width, 2);
+});
@@ -1,9 +1,9 @@
 import t from "tap";
-import { AUTOEND } from "./_utils.mjs";
+import { autoend } from "./_utils.mjs";
 
 import { Table } from "../src/table.mjs";
 
-t.test("Basic", AUTOEND, t => {
+t.test("Basic", autoend(), t => {
     const table = Table.from_format(`
                 | A | B |     C
                 | a | b | c1 | c2 | c3
@@ -15,11 +15,14 @@ t.test("Basic", AUTOEND, t => {
     table.data.set(1, 1, "y");
     table.data.set(2, 3, "z");
 
-    t.strictSame(["alpha", "bravo", "charlie"], table.row_headers, "row headers looks ok");
+    const expected_row_headers = [
+        [ { text: "alpha", span: 1 }, { text: "bravo", span: 1 }, { text: "charlie", span: 1 } ],
+    ];
+    t.strictSame(expected_row_headers, table.row_headers, "row headers looks ok");
 
     const without = table.without_empty_rows_and_columns();
 
-    t.strictSame(["alpha", "bravo", "charlie"], without.row_headers, "new row headers looks ok");
+    t.strictSame(expected_row_headers, without.row_headers, "new row headers looks ok");
     const expected_column_headers = [
         [ { text: "A", span: 1 }, { text: "B", span: 1 }, { text: "C", span: 1 } ],
         [ { text: "a", span: 1 }, { text: "b", span: 1 }, { text: "c2", span: 1 } ],
@@ -29,8 +32,8 @@ t.test("Basic", AUTOEND, t => {
     t.strictSame(3, without.data.width, "new width is ok");
 });
 
-t.test("1x3 column headers, 1 row, 1 empty field", AUTOEND, t => {
-    t.test("first column header", AUTOEND, t => {
+t.test("1x3 column headers, 1 row, 1 empty field", autoend(), t => {
+    t.test("first column header", autoend(), t => {
         const table = Table.from_format(`
             | A | B | C
           1 |
@@ -46,7 +49,7 @@ t.test("1x3 column headers, 1 row, 1 empty field", AUTOEND, t => {
         t.strictSame(2, without.data.width, "new width is ok");
     });
 
-    t.test("second column empty", AUTOEND, t => {
+    t.test("second column empty", autoend(), t => {
         const table = Table.from_format(`
             A | B | C
         `);
@@ -63,7 +66,7 @@ t.test("1x3 column headers, 1 row, 1 empty field", AUTOEND, t => {
         t.strictSame(2, without.data.width, "new width is ok");
     });
 
-    t.test("third column empty", AUTOEND, t => {
+    t.test("third column empty", autoend(), t => {
         const table = Table.from_format(`
             A | B | C
         `);
@@ -80,7 +83,7 @@ t.test("1x3 column headers, 1 row, 1 empty field", AUTOEND, t => {
         t.strictSame(2, without.data.width, "new width is ok");
     });
 
-    t.test("no columns empty", AUTOEND, t => {
+    t.test("no columns empty", autoend(), t => {
         const table = Table.from_format(`
             A | B | C
         `);
@@ -98,3 +101,128 @@ t.test("1x3 column headers, 1 row, 1 empty field", AUTOEND, t => {
         t.strictSame(3, without.data.width, "new width is ok");
     });
 });
+
+t.test("2 columns of row headers", autoend(), t => {
+    const table = Table.from_format(`
+                 |     | Sg | Pl
+        Nominal  | Nom |
+                 | Gen |
+                 | Acc |
+        Verbal   | Inf |
+    `);
+    table.data.set(0, 0, "x");
+    table.data.set(2, 1, "y");
+
+    const without = table.without_empty_rows_and_columns();
+    const expected_row_headers = [
+        [ { text: "Nominal", span: 2 } ],
+        [ { text: "Nom", span: 1 }, { text: "Acc", span: 1 } ],
+    ];
+    t.strictSame(expected_row_headers, without.row_headers, "new row headers looks ok");
+    t.strictSame(2, without.data.height, "new height is ok");
+});
+
+t.test("spanned column headers", autoend(), t => {
+    t.test("removing a column under a spanned header shrinks the span", autoend(), t => {
+        const table = Table.from_format(`
+              |     Singular    |  Plural
+              | Nom | Gen | Ess | Nom | Gen
+            a |
+        `);
+        table.data.set(0, 0, "x");
+        table.data.set(0, 2, "y");
+        table.data.set(0, 4, "z");
+
+        const without = table.without_empty_rows_and_columns();
+        const expected_column_headers = [
+            [ { text: "Singular", span: 2 }, { text: "Plural", span: 1 } ],
+            [ { text: "Nom", span: 1 }, { text: "Ess", span: 1 }, { text: "Gen", span: 1 } ],
+        ];
+        t.strictSame(expected_column_headers, without.column_headers, "new column headers looks ok");
+        t.strictSame(3, without.data.width, "new width is ok");
+    });
+
+    t.test("adjacent parents with the same text are not merged", autoend(), t => {
+        const table = Table.from_format(`
+              |     X     |     X
+              | a1  | a2  | b1  | b2
+            a |
+        `);
+        table.data.set(0, 0, "x");
+        table.data.set(0, 3, "y");
+
+        const without = table.without_empty_rows_and_columns();
+        const expected_column_headers = [
+            [ { text: "X", span: 1 }, { text: "X", span: 1 } ],
+            [ { text: "a1", span: 1 }, { text: "b2", span: 1 } ],
+        ];
+        t.strictSame(expected_column_headers, without.column_headers, "new column headers looks ok");
+    });
+});
+
+t.test("an empty table keeps its levels of headers", autoend(), t => {
+    const table = Table.from_format(`
+                 |     |     Sg    | Pl
+                 |     | Nom | Gen | Nom
+        Nominal  | Nom |
+                 | Gen |
+    `);
+
+    const without = table.without_empty_rows_and_columns();
+    t.strictSame(without.data.str(), "Matrix<0, 0>");
+    t.strictSame(without.row_headers, [ [], [] ]);
+    t.strictSame(without.column_headers, [ [], [] ]);
+});
+
+t.test("options", autoend(), t => {
+    const is_empty = value => value === "-" || value === "*";
+
+    t.test("is_empty", autoend(), t => {
+        const table = Table.from_format(`
+                    |      | Sg        | Pl
+                    |      | Nom | Gen | Nom
+            --------+------+-----+-----+-----
+            Verbal  | Inf  | x   |     |
+                    | Ger  |     | -   |
+            Nominal | Nom  |     |     | *
+        `);
+        const without = table.without_empty_rows_and_columns({ is_empty });
+        t.strictSame(without.data.as_array(), [ [ "x" ] ]);
+        t.strictSame(without.column_headers, [ [ { text: "Sg", span: 1 } ], [ { text: "Nom", span: 1 } ] ]);
+    });
+
+    t.test("only rows, or only columns", autoend(), t => {
+        const table = Table.from_format(`
+                    |      | Sg        | Pl
+                    |      | Nom | Gen | Nom
+            --------+------+-----+-----+-----
+            Verbal  | Inf  | x   |     |
+                    | Ger  |     | -   |
+            Nominal | Nom  |     |     | *
+        `);
+        const only_rows = table.without_empty_rows_and_columns({ is_empty, columns: false });
+        t.strictSame(only_rows.data.str(), "Matrix<1, 3>");
+        const only_columns = table.without_empty_rows_and_columns({ is_empty, rows: false });
+        t.strictSame(only_columns.data.str(), "Matrix<3, 1>");
+    });
+
+    t.test("headers with always_show", autoend(), t => {
+        const table = Table.from_format(`
+                    |      | Sg        | Pl
+                    |      | Nom | Gen | Nom
+            --------+------+-----+-----+-----
+            Verbal  | Inf  | x   |     |
+                    | Ger  |     | -   |
+            Nominal | Nom  |     |     | *
+        `);
+        table.column_headers[0][1].always_show = true;
+        table.row_headers[0][1].always_show = true;
+        const without = table.without_empty_rows_and_columns({ is_empty });
+        t.strictSame(without.data.as_array(), [ [ "x", undefined ], [ undefined, "*" ] ]);
+        t.strictSame(without.column_headers, [
+            [ { text: "Sg", span: 1 }, { text: "Pl", span: 1, always_show: true } ],
+            [ { text: "Nom", span: 1 }, { text: "Nom", span: 1 } ],
+        ]);
+        t.strictSame(without.row_headers[0].map(header => header.text), [ "Verbal", "Nominal" ]);
+    });
+});
@@ -0,0 +1,82 @@
+import t from "tap";
+import { autoend } from "./_utils.mjs";
+
+import { graphemes, text_width, pad_center, pad_end, truncate } from "../src/utils.mjs";
+import { Matrix } from "../src/matrix.mjs";
+import { Table } from "../src/table.mjs";
+
+t.test("graphemes()", autoend(), t => {
+    t.strictSame(graphemes("áb"), ["á", "b"]);
+    t.strictSame(graphemes("👍🏽!"), ["👍🏽", "!"]);
+    t.strictSame(graphemes(""), []);
+});
+
+t.test("text_width()", autoend(), t => {
+    t.strictSame(text_width("guolli"), 6);
+    t.strictSame(text_width("á"), 1, "combining diacritics take up no columns");
+    t.strictSame(text_width("čáhci".normalize("NFD")), 5);
+    t.strictSame(text_width("表格"), 4, "wide characters take up two columns");
+    t.strictSame(text_width("ｆｕｌｌ"), 8, "fullwidth forms take up two columns");
+    t.strictSame(text_width("👍🏽"), 2);
+    t.strictSame(text_width("🇳🇴"), 2);
+    t.strictSame(text_width(""), 0);
+});
+
+t.test("pad_center() and pad_end()", autoend(), t => {
+    t.strictSame(pad_center(5)("ab"), " ab  ");
+    t.strictSame(pad_center(5)("áb"), " áb  ");
+    t.strictSame(pad_center(4)("表"), " 表 ");
+    t.strictSame(pad_center(1)("long"), "long");
+    t.strictSame(pad_end(3)("á"), "á  ");
+});
+
+t.test("truncate()", autoend(), t => {
+    t.strictSame(truncate(5)("guolliid"), "guol…");
+    t.strictSame(truncate(8)("guolliid"), "guolliid");
+    t.strictSame(truncate(3)("čáhci".normalize("NFD")), "čá…".normalize("NFD"), "combining diacritics are kept");
+    t.strictSame(truncate(3)("表格表"), "表…", "wide characters are not cut in half");
+    t.strictSame(truncate(1)("abc"), "…");
+});
+
+t.test("as_console_str() aligns text that isn't NFC", autoend(), t => {
+    const nfd = "guolá".normalize("NFD");
+    const m = Matrix.from_data([ [nfd, "x"], ["guolli", "y"] ]);
+    const [a, b] = m.as_console_str().split("\n");
+    t.strictSame(text_width(a), text_width(b));
+
+    t.strictSame(m.as_console_str({ normalize: true }), m.as_console_str().normalize("NFC"));
+    t.ok(m.as_console_str({ normalize: true }).includes("guolá".normalize("NFC")));
+});
+
+t.test("Table.as_console_str() lines up wide characters", autoend(), t => {
+    const table = Table.from_format(`
+            | Sg  | Pl
+        表  |
+        Gen |
+    `);
+    table.data.set(0, 0, "表格");
+    table.data.set(1, 1, "guliid".normalize("NFD"));
+    const lines = table.as_console_str({ show_caption: false }).split("\n");
+    const pipes = line => {
+        const out = [];
+        let column = 0;
+        for (const grapheme of graphemes(line)) {
+            if (grapheme === "|") out.push(column);
+            column += text_width(grapheme);
+        }
+        return out;
+    };
+    const [header, first, second] = lines.filter(line => line.startsWith("|"));
+    t.strictSame(pipes(first), pipes(second), "the pipes of the rows are in the same columns");
+    t.strictSame(pipes(header), pipes(first));
+});
+
+t.test("Table.as_console_str({ normalize })", autoend(), t => {
+    const table = Table.from_format(`
+            | Sg
+        Nom |
+    `, { caption: "čáhci".normalize("NFD") });
+    table.data.set(0, 0, "čáhci".normalize("NFD"));
+    const text = table.as_console_str({ normalize: true });
+    t.strictSame(text, text.normalize("NFC"));
+});